@@ -1,12 +1,91 @@
 var jsc = now(),
 	rscript = /<script(.|\s)*?\/script>/g,
 	rselectTextarea = /select|textarea/i,
-	rinput = /text|hidden|password|search/i,
+	rinput = /^(?:color|date|datetime|datetime-local|email|hidden|month|number|password|range|search|tel|text|time|url|week)$/i,
+	rmultipart = /^multipart\/form-data$/i,
+	rcheckable = /^(?:checkbox|radio)$/i,
+	rbrackets = /^([^\[\]]+)((?:\[[^\[\]]*\])+)$/,
+	rqueryStart = /^[?#]/,
 	jsre = /=\?(&|$)/,
 	rquery = /\?/,
 	rts = /(\?|&)_=.*?(&|$)/,
 	rurl = /^(\w+:)?\/\/([^\/?#]+)/,
-	r20 = /%20/g;
+	rnoContent = /^(?:GET|HEAD)$/,
+	rsafeMethod = /^(?:GET|HEAD|OPTIONS|TRACE)$/,
+	rjsonContent = /^application\/json/i,
+	rspaces = /\s+/,
+	r20 = /%20/g,
+
+	// Prefilters and transports, keyed by dataType ("*" applies to all of them)
+	prefilters = {},
+	transports = {},
+
+	// Canned responses registered with jQuery.ajaxMock
+	mocks = [],
+	mockId = 0,
+	rqueryHash = /[?#].*$/,
+
+	// Defaults for the retry option of jQuery.ajax, a status of 0 stands
+	// for timeouts and requests that couldn't be sent
+	retryDefaults = {
+		count: 3,
+		delay: 1000,
+		backoff: 2,
+		on: [ 0, 408, 500, 502, 503, 504 ],
+		types: [ "GET", "HEAD" ]
+	},
+
+	// Defaults for the csrf option of jQuery.ajax: the token is given as
+	// a string or a function, or read from a meta tag or a cookie
+	csrfDefaults = {
+		header: "X-CSRF-Token",
+		token: null,
+		meta: "csrf-token",
+		cookie: "XSRF-TOKEN"
+	},
+
+	// Defaults for jQuery.stream, the reconnect option uses the delay and
+	// backoff of retryDefaults and waits max milliseconds at most
+	streamDefaults = {
+		transport: "auto",
+		type: "GET",
+		data: null,
+		dataType: "json",
+		events: [],
+		timeout: 0,
+		withCredentials: false,
+		reconnect: {
+			count: Infinity,
+			delay: 1000,
+			backoff: 2,
+			max: 30000
+		}
+	},
+
+	// Named request queues (see the queue option of jQuery.ajax)
+	queues = {},
+
+	// Deferreds of the GET requests in progress that identical ones can share
+	inflight = {},
+
+	// Responses stored by the cache option of jQuery.ajax
+	cacheEntries = {},
+
+	// Promises of the scripts loaded by jQuery.require
+	required = {},
+
+	// Requests recorded by jQuery.ajaxLog, and how many of them are kept
+	ajaxLogEntries = [],
+	ajaxLogLimit = 0,
+
+	// Requests kept by the offline option until they can be sent: where they
+	// are stored (in memory without localStorage), how the ones of this page
+	// are sent again, and the id of the one being replayed
+	offlineKey = "jQuery.ajaxOffline",
+	offlineMemory = [],
+	offlineRequests = {},
+	offlineUid = 0,
+	offlineCurrent;
 
 jQuery.fn.extend({
 	// Keep a copy of the old load
@@ -83,9 +162,7 @@ jQuery.fn.extend({
 			return this.elements ? jQuery.makeArray(this.elements) : this;
 		})
 		.filter(function(){
-			return this.name && !this.disabled &&
-				(this.checked || rselectTextarea.test(this.nodeName) ||
-					rinput.test(this.type));
+			return serializable( this ) && (this.checked || !rcheckable.test(this.type));
 		})
 		.map(function(i, elem){
 			var val = jQuery(this).val();
@@ -98,16 +175,138 @@ jQuery.fn.extend({
 					}) :
 					{name: elem.name, value: val};
 		}).get();
+	},
+
+	// Build an object out of the form elements, names follow the convention
+	// of jQuery.param: "user[address][city]" gives nested objects and
+	// "tags[]" an array. Multiple selects and checkboxes sharing a name always
+	// give arrays (empty when nothing is selected), a lone unchecked checkbox
+	// is left out, as with serializeArray
+	serializeObject: function() {
+		var obj = {},
+			elems = this.map(function(){
+				return this.elements ? jQuery.makeArray(this.elements) : this;
+			})
+			.filter(function(){
+				return serializable( this );
+			}),
+			checkboxes = {},
+			multiple = {};
+
+		elems.each(function(){
+			if ( this.type === "select-multiple" ||
+					this.type === "checkbox" && ( checkboxes[ this.name ] = ( checkboxes[ this.name ] || 0 ) + 1 ) > 1 ) {
+				multiple[ this.name ] = true;
+			}
+		});
+
+		// Make sure the arrays are there, even if empty
+		jQuery.each( multiple, function( name ) {
+			paramInsert( obj, arrayKeys( name ) );
+		});
+
+		jQuery.each( elems.serializeArray(), function( i, field ) {
+			paramInsert( obj, multiple[ field.name ] ? arrayKeys( field.name ) : paramKeys( field.name ), field.value );
+		});
+
+		return obj;
+	},
+
+	// Same as serializeObject, as a JSON string (using the native
+	// JSON object, or json2.js)
+	serializeJSON: function() {
+		return stringifyJSON( this.serializeObject() );
+	},
+
+	// Fill the form elements from an object built by jQuery.deparam
+	// (or from a query string), the elements missing from it are left untouched
+	deserialize: function( obj ) {
+		if ( typeof obj === "string" ) {
+			obj = jQuery.deparam( obj );
+		}
+
+		// Elements sharing a name take the values of an array in turn
+		var seen = {};
+
+		return this.each(function(){
+			jQuery.each( this.elements ? jQuery.makeArray(this.elements) : [ this ], function(){
+				var value = this.name ? paramLookup( obj, this.name ) : undefined,
+					values, i;
+
+				if ( value === undefined || typeof value === "object" && !jQuery.isArray(value) ) {
+					return;
+				}
+
+				values = jQuery.map( jQuery.makeArray( value ), String );
+
+				if ( rcheckable.test( this.type ) || jQuery.nodeName( this, "select" ) ) {
+					jQuery( this ).val( values );
+
+				} else if ( rselectTextarea.test( this.nodeName ) || rinput.test( this.type ) ) {
+					i = seen[ this.name ] = ( seen[ this.name ] || 0 ) + 1;
+
+					if ( i <= values.length ) {
+						jQuery( this ).val( values[ i - 1 ] );
+					}
+				}
+			});
+		});
+	},
+
+	// Submit the forms with jQuery.ajax, honouring their action, method and enctype
+	// Files are sent with FormData where supported, through a hidden iframe otherwise
+	ajaxSubmit: function( options ) {
+		return this.each(function() {
+			submitForm( this, options );
+		});
+	},
+
+	// Submit the forms with ajaxSubmit instead of reloading the page,
+	// the clicked submit button is sent along
+	ajaxForm: function( options ) {
+		return this.bind("submit.ajaxForm", function( e ) {
+			e.preventDefault();
+			submitForm( this, options, jQuery.data( this, "ajaxFormButton" ) );
+			jQuery.removeData( this, "ajaxFormButton" );
+
+		}).bind("click.ajaxForm", function( e ) {
+			var button = jQuery( e.target ).closest( ":submit, :image", this )[0];
+
+			if ( button ) {
+				jQuery.data( this, "ajaxFormButton", button );
+			}
+		});
 	}
 });
 
 // Attach a bunch of functions for handling common AJAX events
-jQuery.each( "ajaxStart,ajaxStop,ajaxComplete,ajaxError,ajaxSuccess,ajaxSend".split(","), function(i,o){
+jQuery.each( "ajaxStart,ajaxStop,ajaxComplete,ajaxError,ajaxSuccess,ajaxSend,ajaxProgress,ajaxTiming,ajaxReplay".split(","), function(i,o){
 	jQuery.fn[o] = function(f){
 		return this.bind(o, f);
 	};
 });
 
+// Shorthands for the types sending a body, jQuery["delete"] has to be
+// written that way since delete is a reserved word
+jQuery.each( [ "post", "put", "patch", "delete" ], function( i, method ) {
+	jQuery[ method ] = function( url, data, callback, type ) {
+		// shift arguments if data argument was omited
+		if ( jQuery.isFunction( data ) ) {
+			type = type || callback;
+			callback = data;
+			data = {};
+		}
+
+		return jQuery.ajax({
+			type: method.toUpperCase(),
+			url: url,
+			data: data,
+			success: callback,
+			dataType: type
+		});
+	};
+});
+
 jQuery.extend({
 
 	get: function( url, data, callback, type ) {
@@ -131,29 +330,47 @@ jQuery.extend({
 		return jQuery.get(url, null, callback, "script");
 	},
 
+	// Load scripts once each: they are fetched in parallel but run in the
+	// order given to each call (scripts of separate calls aren't ordered,
+	// list the ones a script needs before it). A script already required
+	// doesn't run again, the ones listed after it still wait for it and for
+	// the ones before it.
+	// Returns a promise, rejected with the arguments of the first failure
+	require: function( urls, callback ) {
+		var previous,
+			promises = jQuery.map( jQuery.makeArray( urls ), function( url ) {
+				previous = required[ url ] ?
+					jQuery.when( previous, required[ url ] ) :
+					( required[ url ] = requireScript( url, previous ) );
+				return previous;
+			});
+
+		return jQuery.when.apply( jQuery, promises ).done( callback );
+	},
+
 	getJSON: function( url, data, callback ) {
 		return jQuery.get(url, data, callback, "json");
 	},
 
-	post: function( url, data, callback, type ) {
-		// shift arguments if data argument was omited
-		if ( jQuery.isFunction( data ) ) {
-			type = type || callback;
-			callback = data;
-			data = {};
-		}
-
-		return jQuery.ajax({
-			type: "POST",
-			url: url,
-			data: data,
-			success: callback,
-			dataType: type
-		});
+	// Receive the messages pushed by a server, through an EventSource when
+	// the browser has one and by long-polling otherwise. The messages are
+	// triggered as events on the returned object
+	stream: function( url, options ) {
+		return openStream( url, options );
 	},
 
 	ajaxSetup: function( settings ) {
-		jQuery.extend( jQuery.ajaxSettings, settings );
+		var maps = {};
+
+		// The converters, contents, status codes and headers given are added
+		// to the ones already set up, the other settings replace theirs
+		jQuery.each( [ "converters", "contents", "statusCode", "headers" ], function( i, name ) {
+			if ( settings && settings[ name ] ) {
+				maps[ name ] = jQuery.extend( {}, jQuery.ajaxSettings[ name ], settings[ name ] );
+			}
+		});
+
+		jQuery.extend( jQuery.ajaxSettings, settings, maps );
 	},
 
 	ajaxSettings: {
@@ -168,6 +385,10 @@ jQuery.extend({
 		data: null,
 		username: null,
 		password: null,
+		csrf: false,
+		crossDomain: null,
+		xhrFields: null,
+		offline: null,
 		*/
 		// Create the request object; Microsoft failed to properly
 		// implement the XMLHttpRequest in IE7, so we use the ActiveXObject when it is available
@@ -184,6 +405,131 @@ jQuery.extend({
 			json: "application/json, text/javascript",
 			text: "text/plain",
 			_default: "*/*"
+		},
+
+		// Content-types used to guess the dataType when none is given
+		contents: {
+			xml: /xml/
+		},
+
+		// Callbacks by HTTP status code, { 404: fn, 401: fn }, fired
+		// after the success or error callbacks. Those given to jQuery.ajax
+		// take precedence over the ones set here for the same code
+		statusCode: {},
+
+		// Headers added to every request, { name: value }, merged
+		// with (and overridden by) the ones given to jQuery.ajax
+		headers: {},
+
+		// Fields of the request object filled with each type of response
+		responseFields: {
+			xml: "responseXML",
+			text: "responseText"
+		},
+
+		// List of data converters
+		// 1) key format is "source_type destination_type" (a single space in-between)
+		// 2) the catchall symbol "*" can be used for source_type
+		converters: {
+
+			// Convert anything to text
+			"* text": window.String,
+
+			// Text to html (true = no transformation)
+			"text html": true,
+
+			// Evaluate text as a json expression
+			"text json": function( text ) {
+				return jQuery.parseJSON( text );
+			},
+
+			// Parse text as xml
+			"text xml": function( text ) {
+				return jQuery.parseXML( text );
+			},
+
+			// Evaluate text as a script in the global context
+			"text script": function( text ) {
+				jQuery.globalEval( text );
+				return text;
+			}
+		}
+	},
+
+	// Register functions that alter the settings before a request is sent
+	ajaxPrefilter: addToPrefiltersOrTransports( prefilters ),
+
+	// Register factories of objects able to send a request
+	ajaxTransport: addToPrefiltersOrTransports( transports ),
+
+	// Register a canned response for the requests matching mock.url
+	// (and mock.type if given), returns an id for jQuery.ajaxMockClear
+	ajaxMock: function( mock ) {
+		mock = jQuery.extend( { id: ++mockId }, mock );
+		mocks.push( mock );
+		return mock.id;
+	},
+
+	// Remove a mock, or all of them if no id is given
+	ajaxMockClear: function( id ) {
+		mocks = id ? jQuery.grep( mocks, function( mock ) {
+			return mock.id !== id;
+		}) : [];
+	},
+
+	// Response cache used by requests with a cache object option
+	ajaxCache: {
+
+		// Forget the responses whose url matches pattern, a RegExp or a part
+		// of the url, or all of them if no pattern is given
+		clear: function( pattern ) {
+			var key, url;
+
+			for ( key in cacheEntries ) {
+				url = cacheEntries[ key ].url;
+
+				if ( !pattern || ( pattern.test ? pattern.test( url ) : url.indexOf( pattern ) >= 0 ) ) {
+					delete cacheEntries[ key ];
+
+					// A 304 would leave the request without data
+					delete jQuery.lastModified[ url ];
+					delete jQuery.etag[ url ];
+				}
+			}
+		}
+	},
+
+	// Keep the url, type, status, duration and size of the last limit
+	// requests (false stops recording), returns the recorded requests
+	ajaxLog: function( limit ) {
+		if ( limit !== undefined ) {
+			ajaxLogLimit = limit || 0;
+			ajaxLogEntries = ajaxLogLimit ? ajaxLogEntries.slice( -ajaxLogLimit ) : [];
+		}
+
+		return ajaxLogEntries.slice( 0 );
+	},
+
+	// Requests kept by the offline option, sent again when the browser
+	// gets back online (or when replay is called)
+	ajaxOffline: {
+
+		// The url, type, data, contentType, dataType and headers of the requests
+		requests: function() {
+			return offlineLoad();
+		},
+
+		// Send them again, one after the other, until one can't reach the server
+		replay: function() {
+			if ( !offlineCurrent ) {
+				ajaxReplayNext();
+			}
+		},
+
+		clear: function() {
+			offlineSave( [] );
+			offlineRequests = {};
+			offlineCurrent = undefined;
 		}
 	},
 
@@ -192,65 +538,222 @@ jQuery.extend({
 	etag: {},
 
 	ajax: function( s ) {
+		// Keep the options as given by the caller for the prefilters
+		var origSettings = jQuery.extend( {}, s );
+
 		// Extend the settings, but re-extend 's' so that it can be
 		// checked again later (in the test suite, specifically)
-		s = jQuery.extend(true, s, jQuery.extend(true, {}, jQuery.ajaxSettings, s));
+		// The maps are merged into new objects so that jQuery.ajaxSettings is left untouched
+		s = jQuery.extend(true, s, jQuery.extend(true, {
+			accepts: {},
+			contents: {},
+			responseFields: {},
+			converters: {},
+			statusCode: {},
+			headers: {}
+		}, jQuery.ajaxSettings, s));
 		
-		var jsonp, status, data,
-			callbackContext = s.context || window,
-			type = s.type.toUpperCase();
+		var callbackContext = s.context || window,
 
-		// convert data if not already a string
-		if ( s.data && s.processData && typeof s.data !== "string" ) {
-			s.data = jQuery.param(s.data);
-		}
+			// Deferreds
+			deferred = jQuery.Deferred(),
+			completeDeferred = jQuery._Deferred(),
 
-		// Handle JSONP Parameter Callbacks
-		if ( s.dataType === "jsonp" ) {
-			if ( type === "GET" ) {
-				if ( !jsre.test( s.url ) ) {
-					s.url += (rquery.test( s.url ) ? "&" : "?") + (s.jsonp || "callback") + "=?";
-				}
-			} else if ( !s.data || !jsre.test(s.data) ) {
-				s.data = (s.data ? s.data + "&" : "") + (s.jsonp || "callback") + "=?";
-			}
-			s.dataType = "json";
-		}
+			// Status-dependent callbacks
+			statusCode = {},
 
-		// Build temporary JSONP function
-		if ( s.dataType === "json" && (s.data && jsre.test(s.data) || jsre.test(s.url)) ) {
-			jsonp = "jsonp" + jsc++;
+			// Progress callbacks, for the response and the request body
+			progressCallbacks = { download: [], upload: [] },
 
-			// Replace the =? sequence both in the query string and the data
-			if ( s.data ) {
-				s.data = (s.data + "").replace(jsre, "=" + jsonp + "$1");
-			}
+			// Headers (they are sent all at once)
+			requestHeaders = {},
+
+			// Response headers, as a raw string
+			responseHeaders,
+
+			// The transport sending the request
+			transport,
+
+			// Timeout handle (also used to wait before retrying)
+			timeoutTimer,
+
+			// Retry options and number of retries so far
+			retry,
+			retries = 0,
+
+			// The list of dataTypes, as it was before the first attempt
+			dataTypes,
+
+			// Takes the request out of its queue
+			dequeue,
+
+			// Identifies the request when it can share its response
+			// with identical ones, and the deferred used to do so
+			sharedKey,
+			shared,
+
+			// Where the transport hands the response (see detach)
+			finish,
 
-			s.url = s.url.replace(jsre, "=" + jsonp + "$1");
+			// Identifies the request in the response cache, and the entry
+			// the response came from if it did
+			cacheKey,
+			fromCache,
 
-			// We need to make sure
-			// that a JSONP style response is executed properly
-			s.dataType = "script";
+			// Tells if the request waits for the browser to get back online
+			parked = false,
 
-			// Handle JSONP-style loading
-			window[ jsonp ] = function(tmp){
-				data = tmp;
-				success();
-				complete();
-				// Garbage collect
-				window[ jsonp ] = undefined;
-				try{ delete window[ jsonp ]; } catch(e){}
-				if ( head ) {
-					head.removeChild( script );
+			// Settings of the anti-CSRF token, and the token found with them
+			csrf,
+			token,
+
+			// Loop variable
+			i,
+
+			// The jXHR state: 0 before sending, 1 while sending, 2 once done
+			state = 0,
+
+			// Status text given when the request is cancelled on our side
+			aborted,
+
+			// Wrapper around the native request, it is returned to the
+			// caller whatever the transport is
+			jXHR = {
+				readyState: 0,
+
+				// Times (in ms since the epoch) when the request was created, sent,
+				// started to receive the response and done, and how long it took
+				timing: {
+					queued: now(),
+					sent: undefined,
+					firstByte: undefined,
+					done: undefined,
+					duration: undefined
+				},
+
+				// Caches the header
+				setRequestHeader: function( name, value ) {
+					if ( !state ) {
+						requestHeaders[ name ] = value;
+					}
+					return this;
+				},
+
+				// Raw string
+				getAllResponseHeaders: function() {
+					return state === 2 ? responseHeaders || "" : null;
+				},
+
+				// Finds a header in the raw string
+				getResponseHeader: function( key ) {
+					var match;
+
+					if ( state === 2 && responseHeaders ) {
+						match = new RegExp( "^" + key + ":[ \\t]*([^\\r\\n]*)\\r?$", "mi" ).exec( responseHeaders );
+					}
+
+					return match ? match[1] : null;
+				},
+
+				// Overrides response content-type header
+				overrideMimeType: function( type ) {
+					if ( !state ) {
+						s.mimeType = type;
+					}
+					return this;
+				},
+
+				// Add callbacks fired as the response is received,
+				// with the loaded and total (if known) bytes
+				progress: function( fn ) {
+					addProgress( "download", fn );
+					return this;
+				},
+
+				// Same for the request body being sent
+				uploadProgress: function( fn ) {
+					addProgress( "upload", fn );
+					return this;
+				},
+
+				// Add callbacks for given status codes, they are fired
+				// right away if the request is already done
+				statusCode: function( map ) {
+					if ( map ) {
+						var code;
+
+						if ( state < 2 ) {
+							for ( code in map ) {
+								statusCode[ code ] = [ statusCode[ code ], map[ code ] ];
+							}
+
+						} else {
+							code = map[ jXHR.status ];
+							jXHR.then( code, code );
+						}
+					}
+					return this;
+				},
+
+				// Cancel the request
+				abort: function( statusText ) {
+					if ( state < 2 ) {
+						aborted = statusText || "abort";
+						if ( transport ) {
+							// Identical requests waiting for this one still get the response
+							if ( shared && shared.followers ) {
+								detach();
+							} else {
+								transport.abort( aborted );
+							}
+						}
+						done( 0, aborted );
+					}
+					return this;
 				}
 			};
+
+		// Attach deferreds
+		deferred.promise( jXHR );
+		jXHR.success = jXHR.done;
+		jXHR.error = jXHR.fail;
+		jXHR.complete = completeDeferred.done;
+
+		s.type = s.type.toUpperCase();
+
+		// Extract dataTypes list
+		s.dataTypes = jQuery.trim( s.dataType || "*" ).toLowerCase().split( rspaces );
+
+		// Determine if we're requesting a remote document
+		// An explicit crossDomain setting wins over the url
+		if ( s.crossDomain == null ) {
+			s.crossDomain = isCrossDomain( s.url );
+		}
+
+		// Every type but GET and HEAD sends its data as the request body
+		s.hasContent = !rnoContent.test( s.type );
+
+		// convert data if not already a string, bodies sent as JSON are
+		// serialized with the native JSON object (or json2.js)
+		if ( s.data && s.processData && typeof s.data !== "string" ) {
+			s.data = s.hasContent && rjsonContent.test( s.contentType ) ?
+				stringifyJSON( s.data ) :
+				jQuery.param( s.data );
 		}
 
-		if ( s.dataType === "script" && s.cache === null ) {
-			s.cache = false;
+		// Apply prefilters
+		inspectPrefiltersOrTransports( prefilters, s, origSettings, jXHR );
+
+		// Only idempotent requests are retried, unless other types are given
+		if ( s.retry ) {
+			retry = jQuery.extend( {}, retryDefaults, s.retry === true ? null : s.retry );
+
+			if ( jQuery.inArray( s.type, retry.types ) < 0 ) {
+				retry = undefined;
+			}
 		}
 
-		if ( s.cache === false && type === "GET" ) {
+		if ( s.cache === false && s.type === "GET" ) {
 			var ts = now();
 
 			// try replacing _= if it is there
@@ -260,250 +763,446 @@ jQuery.extend({
 			s.url = ret + ((ret === s.url) ? (rquery.test(s.url) ? "&" : "?") + "_=" + ts : "");
 		}
 
-		// If data is available, append data to url for get requests
-		if ( s.data && type === "GET" ) {
+		// If data is available, append data to url for requests without a body
+		if ( s.data && !s.hasContent ) {
 			s.url += (rquery.test(s.url) ? "&" : "?") + s.data;
 		}
 
+		// Opt-in response cache, cache: { ttl: ms, key: function( s ) }
+		// Cached responses are revalidated once stale if the server gave an etag
+		// or a last-modified date, unless ifModified is explicitly set to false
+		if ( s.cache && typeof s.cache === "object" && s.type === "GET" ) {
+			cacheKey = s.cache.key ? s.cache.key( s ) : s.url;
+
+			if ( s.ifModified === undefined ) {
+				s.ifModified = true;
+			}
+		}
+
 		// Watch for a new set of requests
 		if ( s.global && ! jQuery.active++ ) {
 			jQuery.event.trigger( "ajaxStart" );
 		}
 
-		// Matches an absolute URL, and saves the domain
-		var parts = rurl.exec( s.url );
-
-		// If we're requesting a remote document
-		// and trying to load JSON or Script with a GET
-		if ( s.dataType === "script" && type === "GET" && parts
-			&& ( parts[1] && parts[1] !== location.protocol || parts[2] !== location.host )) {
+		// Set the correct header, if data is being sent
+		// (false lets the browser set it, for FormData bodies)
+		if ( s.data && s.contentType !== false ) {
+			requestHeaders[ "Content-Type" ] = s.contentType;
+		}
 
-			var head = document.getElementsByTagName("head")[0] || document.documentElement;
-			var script = document.createElement("script");
-			script.src = s.url;
-			if ( s.scriptCharset ) {
-				script.charset = s.scriptCharset;
+		// Set the If-Modified-Since and/or If-None-Match header, if in ifModified mode.
+		if ( s.ifModified ) {
+			if ( jQuery.lastModified[s.url] ) {
+				requestHeaders[ "If-Modified-Since" ] = jQuery.lastModified[s.url];
 			}
 
-			// Handle Script loading
-			if ( !jsonp ) {
-				var done = false;
-
-				// Attach handlers for all browsers
-				script.onload = script.onreadystatechange = function(){
-					if ( !done && (!this.readyState ||
-							this.readyState === "loaded" || this.readyState === "complete") ) {
-						done = true;
-						success();
-						complete();
-
-						// Handle memory leak in IE
-						script.onload = script.onreadystatechange = null;
-						if ( head && script.parentNode ) {
-							head.removeChild( script );
-						}
-					}
-				};
+			if ( jQuery.etag[s.url] ) {
+				requestHeaders[ "If-None-Match" ] = jQuery.etag[s.url];
 			}
-
-			// Use insertBefore instead of appendChild  to circumvent an IE6 bug.
-			// This arises when a base node is used (#2709 and #4378).
-			head.insertBefore( script, head.firstChild );
-
-			// We handle everything using the script element injection
-			return undefined;
 		}
 
-		var requestDone = false;
-
-		// Create the request object
-		var xhr = s.xhr();
-
-		// Open the socket
-		// Passing null username, generates a login popup on Opera (#2865)
-		if ( s.username ) {
-			xhr.open(type, s.url, s.async, s.username, s.password);
-		} else {
-			xhr.open(type, s.url, s.async);
+		// Set header so the called script knows that it's an XMLHttpRequest
+		// (not on other domains, where it would need a preflight request)
+		if ( !s.crossDomain ) {
+			requestHeaders[ "X-Requested-With" ] = "XMLHttpRequest";
 		}
 
-		// Need an extra try/catch for cross domain requests in Firefox 3
-		try {
-			// Set the correct header, if data is being sent
-			if ( s.data ) {
-				xhr.setRequestHeader("Content-Type", s.contentType);
-			}
-
-				// Set the If-Modified-Since and/or If-None-Match header, if in ifModified mode.
-				if ( s.ifModified ) {
-					if ( jQuery.lastModified[s.url] ) {
-						xhr.setRequestHeader("If-Modified-Since", jQuery.lastModified[s.url]);
-					}
+		// Set the Accepts header for the server, depending on the dataType
+		requestHeaders.Accept = s.dataTypes[0] && s.accepts[ s.dataTypes[0] ] ?
+			s.accepts[ s.dataTypes[0] ] + ", */*" :
+			s.accepts._default;
 
-					if ( jQuery.etag[s.url] ) {
-						xhr.setRequestHeader("If-None-Match", jQuery.etag[s.url]);
-					}
-				}
+		// Custom headers can override the ones above
+		for ( i in s.headers ) {
+			requestHeaders[ i ] = s.headers[ i ];
+		}
 
-			// Set header so the called script knows that it's an XMLHttpRequest
-			xhr.setRequestHeader("X-Requested-With", "XMLHttpRequest");
+		// Only the same domain gets the token (whatever the crossDomain option says),
+		// and only for the requests that change something
+		if ( s.csrf && !isCrossDomain( s.url ) && !rsafeMethod.test( s.type ) ) {
+			csrf = jQuery.extend( {}, csrfDefaults, s.csrf === true ? null : s.csrf );
+			token = csrfToken( csrf );
 
-			// Set the Accepts header for the server, depending on the dataType
-			xhr.setRequestHeader("Accept", s.dataType && s.accepts[ s.dataType ] ?
-				s.accepts[ s.dataType ] + ", */*" :
-				s.accepts._default );
-		} catch(e){}
+			if ( token ) {
+				requestHeaders[ csrf.header ] = token;
+			}
+		}
 
 		// Allow custom headers/mimetypes and early abort
-		if ( s.beforeSend && s.beforeSend.call(callbackContext, xhr, s) === false ) {
+		if ( s.beforeSend && s.beforeSend.call(callbackContext, jXHR, s) === false ) {
 			// Handle the global AJAX counter
 			if ( s.global && ! --jQuery.active ) {
 				jQuery.event.trigger( "ajaxStop" );
 			}
 
-			// close opended socket
-			xhr.abort();
-			return false;
+			// The request is returned aborted, the callbacks given aren't called
+			state = 2;
+			aborted = jXHR.statusText = "abort";
+			deferred.rejectWith( callbackContext, [jXHR, aborted, aborted] );
+			completeDeferred.resolveWith( callbackContext, [jXHR, aborted] );
+
+			return jXHR;
 		}
 
-		if ( s.global ) {
-			trigger("ajaxSend", [xhr, s]);
+		// Local callbacks go first, so that they keep firing before the global events
+		jXHR.success( s.success ).error( s.error ).complete( s.complete ).statusCode( s.statusCode )
+			.progress( s.progress ).uploadProgress( s.uploadProgress );
+
+		// The request may have been aborted from within beforeSend
+		if ( state < 2 ) {
+			dataTypes = s.dataTypes.slice( 0 );
+
+			if ( s.dedupe && s.async && s.type === "GET" ) {
+				sharedKey = dataTypes.join( " " ) + " " + s.url;
+			}
+
+			// Wait for the queue to let the request go, the request knows how
+			// to leave the queue before it is sent (it may fail right away)
+			if ( s.queue && s.async ) {
+				dequeue = ajaxEnqueue( s, jXHR, send );
+				ajaxDequeue( queues[ s.queue ] );
+
+			} else {
+				send();
+			}
 		}
 
-		// Wait for a response to come back
-		var onreadystatechange = function(isTimeout){
-			// The request was aborted, clear the interval and decrement jQuery.active
-			if ( !xhr || xhr.readyState === 0 ) {
-				if ( ival ) {
-					// clear poll interval
-					clearInterval( ival );
-					ival = null;
+		// Get a transport and send the request with it
+		function send() {
+			var leader = sharedKey && inflight[ sharedKey ],
+				cached = cacheKey && cacheEntries[ cacheKey ];
 
-					// Handle the global AJAX counter
-					if ( s.global && ! --jQuery.active ) {
-						jQuery.event.trigger( "ajaxStop" );
-					}
-				}
+			// Fresh cached responses don't need the network
+			if ( cached && cached.expires > now() ) {
+				transport = cachedTransport( s, cached );
+				fromCache = cached;
+
+			// Identical requests in progress share their response
+			// (a retried request is still the one the others wait for)
+			} else if ( leader && leader !== shared ) {
+				transport = sharedTransport( leader );
 
-			// The transfer is complete and the data is available, or the request timed out
-			} else if ( !requestDone && xhr && (xhr.readyState === 4 || isTimeout === "timeout") ) {
-				requestDone = true;
+			} else {
+				transport = inspectPrefiltersOrTransports( transports, s, origSettings, jXHR );
 
-				// clear poll interval
-				if (ival) {
-					clearInterval(ival);
-					ival = null;
+				if ( transport && sharedKey ) {
+					shared = inflight[ sharedKey ] = shared || jQuery._Deferred();
 				}
+			}
 
-				status = isTimeout === "timeout" ?
-					"timeout" :
-					!jQuery.httpSuccess( xhr ) ?
-						"error" :
-						s.ifModified && jQuery.httpNotModified( xhr, s.url ) ?
-							"notmodified" :
-							"success";
+			if ( !transport ) {
+				done( -1, s.crossDomain && !jQuery.support.cors ?
+					"No Transport: cross-domain requests aren't supported by this browser" :
+					"No Transport" );
 
-				if ( status === "success" ) {
-					// Watch for, and catch, XML document parse errors
-					try {
-						// process the data (runs the xml through httpData regardless of callback)
-						data = jQuery.httpData( xhr, s.dataType, s );
-					} catch(e) {
-						status = "parsererror";
-					}
+			} else {
+				state = jXHR.readyState = 1;
+				jXHR.timing.sent = now();
+				jXHR.timing.firstByte = undefined;
+
+				if ( s.global ) {
+					trigger( "ajaxSend", [jXHR, s] );
 				}
 
-				// Make sure that the request was successful or notmodified
-				if ( status === "success" || status === "notmodified" ) {
-					// JSONP handles its own success callback
-					if ( !jsonp ) {
-						success();
+				// Timeout checker
+				if ( s.async && s.timeout > 0 ) {
+					timeoutTimer = setTimeout(function(){
+						jXHR.abort( "timeout" );
+					}, s.timeout);
+				}
+
+				// Transports only watch the upload when someone listens to it
+				// (an upload listener makes cross-domain requests preflighted)
+				s.uploadListeners = !!progressCallbacks.upload.length ||
+					s.global && !!jQuery.event.global.ajaxProgress;
+
+				finish = done;
+
+				try {
+					transport.send( requestHeaders, shared ? function() {
+						return finish.apply( this, arguments );
+					} : done, progress );
+				} catch(e) {
+					// Propagate exception as error if not done
+					if ( state < 2 ) {
+						done( -1, e );
+
+					// Simply rethrow otherwise
+					} else {
+						throw e;
 					}
-				} else {
-					jQuery.handleError(s, xhr, status);
 				}
+			}
+		}
+
+		// Leave the transport of an aborted request to the identical requests
+		// waiting for it, it is aborted if they all are too
+		function detach() {
+			var followed = shared,
+				orphan = transport;
 
-				// Fire the complete handlers
-				complete();
+			shared = undefined;
 
-				if ( isTimeout ) {
-					xhr.abort();
+			finish = function( status, statusText, responses, headers ) {
+				if ( inflight[ sharedKey ] === followed ) {
+					delete inflight[ sharedKey ];
 				}
+				followed.resolve( status, statusText, responses, headers );
+			};
 
-				// Stop memory leaks
-				if ( s.async ) {
-					xhr = null;
+			followed.abort = function() {
+				if ( inflight[ sharedKey ] === followed ) {
+					delete inflight[ sharedKey ];
 				}
-			}
-		};
+				orphan.abort( "abort" );
+			};
+		}
 
-		if ( s.async ) {
-			// don't attach the handler to the request, just poll it instead
-			var ival = setInterval(onreadystatechange, 13);
+		// Send the request again, beforeSend can still cancel it
+		function resend() {
+			timeoutTimer = undefined;
 
-			// Timeout checker
-			if ( s.timeout > 0 ) {
-				setTimeout(function(){
-					// Check to see if the request is still happening
-					if ( xhr && !requestDone ) {
-						onreadystatechange( "timeout" );
-					}
-				}, s.timeout);
+			// Responses of the previous attempt changed the list
+			s.dataTypes = dataTypes.slice( 0 );
+
+			if ( s.beforeSend && s.beforeSend.call(callbackContext, jXHR, s) === false ) {
+				jXHR.abort();
+
+			} else if ( state < 2 ) {
+				send();
 			}
 		}
 
-		// Send the data
-		try {
-			xhr.send( type === "POST" || type === "PUT" ? s.data : null );
-		} catch(e) {
-			jQuery.handleError(s, xhr, null, e);
+		function addProgress( type, fn ) {
+			if ( jQuery.isFunction( fn ) ) {
+				progressCallbacks[ type ].push( fn );
+			}
 		}
 
-		// firefox 1.5 doesn't fire statechange for sync requests
-		if ( !s.async ) {
-			onreadystatechange();
-		}
+		// Transports able to tell how much was received, or sent if upload
+		// is true, call it with the loaded and total (if known) bytes
+		function progress( loaded, total, upload ) {
+			if ( state === 1 ) {
+				if ( !upload && !jXHR.timing.firstByte ) {
+					jXHR.timing.firstByte = now();
+				}
 
-		function success(){
-			// If a local callback was specified, fire it and pass it the data
-			if ( s.success ) {
-				s.success.call( callbackContext, data, status );
-			}
+				jQuery.each( progressCallbacks[ upload ? "upload" : "download" ], function() {
+					this.call( callbackContext, loaded, total, jXHR );
+				});
 
-			// Fire the global callback
-			if ( s.global ) {
-				trigger( "ajaxSuccess", [xhr, s] );
+				if ( s.global ) {
+					trigger( "ajaxProgress", [jXHR, s, loaded, total, !!upload] );
+				}
 			}
 		}
 
-		function complete(){
-			// Process result
-			if ( s.complete ) {
-				s.complete.call( callbackContext, xhr, status);
+		// Callback for when everything is done, transports call it with
+		// the native status, statusText, responses (by dataType) and raw headers
+		// A negative status means the request couldn't be sent
+		function done( status, statusText, responses, headers ) {
+			// Called once
+			if ( state === 2 ) {
+				return;
 			}
 
-			// The request was completed
-			if ( s.global ) {
-				trigger( "ajaxComplete", [xhr, s] );
-			}
+			state = 2;
 
-			// Handle the global AJAX counter
-			if ( s.global && ! --jQuery.active ) {
-				jQuery.event.trigger( "ajaxStop" );
+			// Clear timeout if it exists
+			if ( timeoutTimer ) {
+				clearTimeout( timeoutTimer );
+				timeoutTimer = undefined;
 			}
-		}
-		
-		function trigger(type, args){
-			(s.context ? jQuery(s.context) : jQuery.event).trigger(type, args);
-		}
 
-		// return XMLHttpRequest to allow aborting the request etc.
-		return xhr;
-	},
+			// Only requests that went through a transport are retried
+			var sent = !!transport;
 
-	handleError: function( s, xhr, status, e ) {
-		// If a local callback was specified, fire it
-		if ( s.error ) {
+			// Dereference transport for early garbage collection
+			// (no matter how long the jXHR object will be used)
+			transport = undefined;
+
+			responseHeaders = headers || "";
+			jXHR.readyState = 4;
+			jXHR.status = status;
+			jXHR.statusText = statusText;
+
+			var textStatus, data, errorThrown, error, timing,
+				response = ajaxHandleResponses( s, jXHR, responses || {} );
+
+			// The request was cancelled on our side (abort, timeout)
+			if ( aborted ) {
+				textStatus = aborted;
+
+			// The request couldn't be sent, statusText is the reason
+			} else if ( status < 0 ) {
+				textStatus = "error";
+				errorThrown = statusText;
+				jXHR.status = 0;
+				jXHR.statusText = textStatus;
+
+			} else if ( !jQuery.httpSuccess( jXHR ) ) {
+				textStatus = "error";
+				errorThrown = statusText;
+
+			} else if ( s.ifModified && jQuery.httpNotModified( jXHR, s.url ) ) {
+				textStatus = "notmodified";
+
+				// The cached response is still valid
+				if ( cacheKey && cacheEntries[ cacheKey ] ) {
+					data = ajaxCacheRevalidate( s, jXHR, cacheEntries[ cacheKey ] );
+				}
+
+			} else {
+				// Watch for, and catch, parse errors
+				try {
+					// Cached data of the same dataType is already filtered and converted
+					data = fromCache && s.dataTypes.length === 1 && s.dataTypes[ 0 ] === fromCache.dataType ?
+						response :
+						ajaxConvert( s, response );
+					textStatus = "success";
+				} catch(e) {
+					textStatus = "parsererror";
+					errorThrown = e;
+				}
+
+				if ( cacheKey && !fromCache && textStatus === "success" ) {
+					ajaxCacheStore( s, cacheKey, data, status, statusText, responses, headers );
+				}
+			}
+
+			// Wait and try again if the request failed in a way worth retrying,
+			// the global AJAX counter is only handled by the last attempt
+			if ( retry && sent && s.async && retries < retry.count &&
+					( textStatus === "error" || textStatus === "timeout" ) &&
+					jQuery.inArray( jXHR.status, retry.on ) >= 0 ) {
+
+				state = jXHR.readyState = 0;
+				aborted = undefined;
+				timeoutTimer = setTimeout( resend, retry.delay * Math.pow( retry.backoff, retries++ ) );
+				return;
+			}
+
+			// Transports that report no progress received the response all at once
+			timing = jXHR.timing;
+			timing.done = now();
+
+			if ( timing.sent ) {
+				timing.firstByte = timing.firstByte || timing.done;
+				timing.duration = timing.done - timing.sent;
+			}
+
+			if ( ajaxLogLimit ) {
+				ajaxRecord( s, jXHR, textStatus, responses );
+			}
+
+			// Hand the response to the identical requests that waited for it
+			if ( shared ) {
+				delete inflight[ sharedKey ];
+				shared.resolve( aborted ? -1 : status, aborted || statusText, responses, headers );
+				shared = undefined;
+			}
+
+			// Keep the requests that couldn't reach the server (or timed out) until
+			// they can, the global AJAX counter isn't held meanwhile
+			if ( s.offline === "queue" && sent && s.async && !jXHR.status &&
+					( textStatus === "error" || textStatus === "timeout" ) &&
+					( s.data == null || typeof s.data === "string" ) ) {
+
+				state = jXHR.readyState = 0;
+				aborted = undefined;
+				parked = true;
+				ajaxPark( s, function() {
+					parked = false;
+
+					if ( s.global && ! jQuery.active++ ) {
+						jQuery.event.trigger( "ajaxStart" );
+					}
+
+					resend();
+				});
+
+				if ( s.global && ! --jQuery.active ) {
+					jQuery.event.trigger( "ajaxStop" );
+				}
+
+				if ( dequeue ) {
+					dequeue();
+				}
+
+				return;
+			}
+
+			// Make sure that the request was successful or notmodified
+			if ( textStatus === "success" || textStatus === "notmodified" ) {
+				// Fire the local callbacks and pass them the data
+				deferred.resolveWith( callbackContext, [data, textStatus, jXHR] );
+
+			} else {
+				error = ajaxError( s, jXHR, textStatus, errorThrown, response );
+
+				deferred.rejectWith( callbackContext, [jXHR, textStatus, errorThrown, error] );
+			}
+
+			// Status-dependent callbacks
+			jXHR.statusCode( statusCode );
+			statusCode = undefined;
+
+			if ( s.global ) {
+				trigger( error ? "ajaxError" : "ajaxSuccess",
+					error ? [jXHR, s, errorThrown, error] : [jXHR, s] );
+			}
+
+			// A request kept by the offline option was sent again (or aborted)
+			if ( s.offlineId ) {
+				offlineSave( jQuery.grep( offlineLoad(), function( entry ) {
+					return entry.id !== s.offlineId;
+				}) );
+				delete offlineRequests[ s.offlineId ];
+
+				if ( s.global && !parked ) {
+					trigger( "ajaxReplay", [jXHR, s, textStatus] );
+				}
+			}
+
+			// Process result
+			completeDeferred.resolveWith( callbackContext, [jXHR, textStatus] );
+
+			// The request was completed
+			if ( s.global ) {
+				trigger( "ajaxComplete", [jXHR, s] );
+			}
+
+			if ( s.global ) {
+				trigger( "ajaxTiming", [jXHR, s, timing] );
+			}
+
+			// Handle the global AJAX counter (parked requests already did)
+			if ( s.global && !parked && ! --jQuery.active ) {
+				jQuery.event.trigger( "ajaxStop" );
+			}
+
+			// Let the next request of the queue go
+			if ( dequeue ) {
+				dequeue();
+			}
+
+			// Replay the next request kept by the offline option
+			if ( s.offlineId && s.offlineId === offlineCurrent ) {
+				ajaxReplayNext();
+			}
+		}
+		
+		function trigger(type, args){
+			(s.context ? jQuery(s.context) : jQuery.event).trigger(type, args);
+		}
+
+		// return the wrapped request to allow aborting it and attaching callbacks
+		return jXHR;
+	},
+
+	handleError: function( s, xhr, status, e ) {
+		// If a local callback was specified, fire it
+		if ( s.error ) {
 			s.error.call( s.context || window, xhr, status, e );
 		}
 
@@ -634,6 +1333,1475 @@ jQuery.extend({
 
 		// Return the resulting serialization
 		return s.join("&").replace(r20, "+");
+	},
+
+	// Deserialize a query string into an object, the inverse of jQuery.param
+	// (including jQuery.param.traditional). If coerce is true, numbers
+	// (written the way JavaScript writes them), booleans and undefined get
+	// their type back
+	deparam: function( str, coerce ) {
+		var obj = {};
+
+		jQuery.each( splitParams( str.replace( rqueryStart, "" ) ), function( i, pair ) {
+			var value = pair.value;
+
+			if ( coerce ) {
+				value = value !== "" && String( +value ) === value ? +value :
+					value === "true" ? true :
+					value === "false" ? false :
+					value === "undefined" ? undefined :
+					value;
+			}
+
+			paramInsert( obj, paramKeys( pair.name ), value );
+		});
+
+		return obj;
+	}
+
+});
+
+// Base "constructor" for jQuery.ajaxPrefilter and jQuery.ajaxTransport
+function addToPrefiltersOrTransports( structure ) {
+
+	// dataTypeExpression is optional and defaults to "*"
+	return function( dataTypeExpression, func ) {
+
+		if ( typeof dataTypeExpression !== "string" ) {
+			func = dataTypeExpression;
+			dataTypeExpression = "*";
+		}
+
+		if ( jQuery.isFunction( func ) ) {
+			var dataTypes = dataTypeExpression.toLowerCase().split( rspaces ),
+				i = 0,
+				length = dataTypes.length,
+				dataType,
+				list,
+				placeBefore;
+
+			// For each dataType in the dataTypeExpression
+			for ( ; i < length; i++ ) {
+				dataType = dataTypes[ i ];
+
+				// We control if we're asked to add before
+				// any existing element
+				placeBefore = /^\+/.test( dataType );
+				if ( placeBefore ) {
+					dataType = dataType.substr( 1 ) || "*";
+				}
+
+				list = structure[ dataType ] = structure[ dataType ] || [];
+
+				// then we add to the structure accordingly
+				list[ placeBefore ? "unshift" : "push" ]( func );
+			}
+		}
+	};
+}
+
+// Base inspection function for prefilters and transports
+function inspectPrefiltersOrTransports( structure, options, originalOptions, jXHR,
+		dataType /* internal */, inspected /* internal */ ) {
+
+	dataType = dataType || options.dataTypes[ 0 ];
+	inspected = inspected || {};
+
+	inspected[ dataType ] = true;
+
+	var list = structure[ dataType ],
+		i = 0,
+		length = list ? list.length : 0,
+		executeOnly = ( structure === prefilters ),
+		selection;
+
+	for ( ; i < length && ( executeOnly || !selection ); i++ ) {
+		selection = list[ i ]( options, originalOptions, jXHR );
+
+		// If we got redirected to another dataType
+		// we try there if executing only and not done already
+		if ( typeof selection === "string" ) {
+			if ( !executeOnly || inspected[ selection ] ) {
+				selection = undefined;
+			} else {
+				options.dataTypes.unshift( selection );
+				selection = inspectPrefiltersOrTransports(
+						structure, options, originalOptions, jXHR, selection, inspected );
+			}
+		}
+	}
+
+	// If we're only executing or nothing was selected
+	// we try the catchall dataType if not done already
+	if ( ( executeOnly || !selection ) && !inspected[ "*" ] ) {
+		selection = inspectPrefiltersOrTransports(
+				structure, options, originalOptions, jXHR, "*", inspected );
+	}
+
+	// unnecessary when only executing (prefilters)
+	// but it'll be ignored by the caller in that case
+	return selection;
+}
+
+/* Handles responses to an ajax request:
+ * - sets all responseXXX fields accordingly
+ * - finds the right dataType (mediates between content-type and expected dataType)
+ * - returns the corresponding response
+ */
+function ajaxHandleResponses( s, jXHR, responses ) {
+
+	var contents = s.contents,
+		dataTypes = s.dataTypes,
+		responseFields = s.responseFields,
+		ct,
+		type,
+		finalDataType,
+		firstDataType;
+
+	// Fill responseXXX fields
+	for ( type in responseFields ) {
+		if ( type in responses ) {
+			jXHR[ responseFields[ type ] ] = responses[ type ];
+		}
+	}
+
+	// Remove auto dataType and get content-type in the process
+	while ( dataTypes[ 0 ] === "*" ) {
+		dataTypes.shift();
+		if ( ct === undefined ) {
+			ct = jXHR.getResponseHeader( "content-type" );
+		}
+	}
+
+	// Check if we're dealing with a known content-type
+	if ( ct ) {
+		for ( type in contents ) {
+			if ( contents[ type ] && contents[ type ].test( ct ) ) {
+				dataTypes.unshift( type );
+				break;
+			}
+		}
 	}
 
+	// Check to see if we have a response for the expected dataType
+	if ( dataTypes[ 0 ] in responses ) {
+		finalDataType = dataTypes[ 0 ];
+	} else {
+		// Try convertible dataTypes
+		for ( type in responses ) {
+			if ( !dataTypes[ 0 ] || s.converters[ type + " " + dataTypes[ 0 ] ] ) {
+				finalDataType = type;
+				break;
+			}
+			if ( !firstDataType ) {
+				firstDataType = type;
+			}
+		}
+		// Or just use first one
+		finalDataType = finalDataType || firstDataType;
+	}
+
+	// If we found a dataType
+	// We add the dataType to the list if needed
+	// and return the corresponding response
+	if ( finalDataType ) {
+		if ( finalDataType !== dataTypes[ 0 ] ) {
+			dataTypes.unshift( finalDataType );
+		}
+		return responses[ finalDataType ];
+	}
+}
+
+// Chain conversions given the request and the original response
+function ajaxConvert( s, response ) {
+
+	// Apply the dataFilter if provided
+	if ( s.dataFilter ) {
+		response = s.dataFilter( response, s.dataType );
+	}
+
+	var dataTypes = s.dataTypes,
+		converters = s.converters,
+		i,
+		length = dataTypes.length,
+		tmp,
+		// Current and previous dataTypes
+		current = dataTypes[ 0 ],
+		prev,
+		// Conversion expression
+		conversion,
+		// Conversion function
+		conv,
+		// Conversion functions (transitive conversion)
+		conv1,
+		conv2;
+
+	// For each dataType in the chain
+	for ( i = 1; i < length; i++ ) {
+
+		prev = current;
+		current = dataTypes[ i ];
+
+		// If current is auto dataType, update it to prev
+		if ( current === "*" ) {
+			current = prev;
+
+		// If no auto and dataTypes are actually different
+		} else if ( prev !== "*" && prev !== current ) {
+
+			// Get the converter
+			conversion = prev + " " + current;
+			conv = converters[ conversion ] || converters[ "* " + current ];
+
+			// If there is no direct converter, search transitively
+			if ( !conv ) {
+				conv2 = undefined;
+				for ( conv1 in converters ) {
+					tmp = conv1.split( " " );
+					if ( tmp[ 0 ] === prev || tmp[ 0 ] === "*" ) {
+						conv2 = converters[ tmp[1] + " " + current ];
+						if ( conv2 ) {
+							conv1 = converters[ conv1 ];
+							if ( conv1 === true ) {
+								conv = conv2;
+							} else if ( conv2 === true ) {
+								conv = conv1;
+							}
+							break;
+						}
+					}
+				}
+			}
+
+			// If we found no converter, dispatch an error
+			if ( !( conv || conv2 ) ) {
+				throw "No conversion from " + conversion.replace( " ", " to " );
+			}
+
+			// If found converter is not an equivalence
+			if ( conv !== true ) {
+				// Convert with 1 or 2 converters accordingly
+				response = conv ? conv( response ) : conv2( conv1( response ) );
+			}
+		}
+	}
+
+	return response;
+}
+
+/* Builds the error object given to error callbacks and ajaxError handlers:
+ * - reason: "timeout", "abort", "parsererror", "http" or "error" when the request couldn't be sent
+ * - status, statusText: as set on the request object
+ * - data: the response body, converted according to the dataType if possible
+ * - exception: what was thrown, if anything
+ * - settings: the request settings
+ */
+function ajaxError( s, jXHR, textStatus, errorThrown, response ) {
+	var error = {
+		reason: textStatus === "error" && jXHR.status ? "http" : textStatus,
+		status: jXHR.status,
+		statusText: jXHR.statusText,
+		exception: errorThrown,
+		settings: s
+	};
+
+	// Error pages are parsed like regular responses (but never evaluated)
+	if ( error.reason === "http" && response !== undefined ) {
+		error.data = response;
+
+		if ( jQuery.inArray( "script", s.dataTypes ) < 0 ) {
+			try {
+				error.data = ajaxConvert( s, response );
+			} catch(e) {}
+		}
+	}
+
+	return error;
+}
+
+// Serializes with the native JSON object, browsers without one need json2.js
+function stringifyJSON( data ) {
+	if ( !window.JSON || !window.JSON.stringify ) {
+		throw "JSON.stringify is not available, include json2.js to send JSON";
+	}
+
+	return window.JSON.stringify( data );
+}
+
+// Tells if a form element has a value that can be serialized (when checked, for checkboxes and radios)
+function serializable( elem ) {
+	return elem.name && !elem.disabled &&
+		( rcheckable.test( elem.type ) || rselectTextarea.test( elem.nodeName ) || rinput.test( elem.type ) );
+}
+
+// Splits a name as built by jQuery.param into its keys,
+// "a[b][]" gives [ "a", "b", "" ] (names are kept whole with jQuery.param.traditional)
+function paramKeys( name ) {
+	var match = !jQuery.param.traditional && rbrackets.exec( name );
+
+	return match ?
+		[ match[1] ].concat( match[2].slice( 1, -1 ).split("][") ) :
+		[ name ];
+}
+
+// Same as paramKeys, for names that must give an array
+function arrayKeys( name ) {
+	var keys = paramKeys( name );
+
+	if ( keys[ keys.length - 1 ] !== "" ) {
+		keys.push( "" );
+	}
+
+	return keys;
+}
+
+// Puts a value at the place given by keys in an object built by jQuery.deparam,
+// repeated keys are gathered in arrays. Without a value, only the objects
+// and arrays leading to that place are created
+function paramInsert( obj, keys, value ) {
+	var last = keys.length - 1,
+		cur = obj,
+		key, i;
+
+	// Don't let a query string alter Object.prototype
+	if ( jQuery.inArray( "__proto__", keys ) >= 0 ) {
+		return;
+	}
+
+	// Walk down the nested objects and arrays, creating them as needed
+	for ( i = 0; i < last; i++ ) {
+		key = keys[ i ] === "" ? cur.length : keys[ i ];
+
+		if ( !Object.prototype.hasOwnProperty.call( cur, key ) || !cur[ key ] || typeof cur[ key ] !== "object" ) {
+			cur[ key ] = keys[ i + 1 ] === "" ? [] : {};
+		}
+
+		cur = cur[ key ];
+	}
+
+	if ( arguments.length < 3 ) {
+		return;
+	}
+
+	key = keys[ last ];
+
+	// a[]=1 is pushed to the array
+	if ( key === "" ) {
+		cur.push( value );
+
+	} else if ( jQuery.isArray( cur[ key ] ) ) {
+		cur[ key ].push( value );
+
+	} else if ( Object.prototype.hasOwnProperty.call( cur, key ) ) {
+		cur[ key ] = [ cur[ key ], value ];
+
+	} else {
+		cur[ key ] = value;
+	}
+}
+
+// Finds the value matching a name as built by jQuery.param in an object
+// built by jQuery.deparam
+function paramLookup( obj, name ) {
+	var keys = paramKeys( name ),
+		i = 0;
+
+	for ( ; i < keys.length && keys[ i ] !== "" && obj != null; i++ ) {
+		obj = obj[ keys[ i ] ];
+	}
+
+	return obj == null ? undefined : obj;
+}
+
+// Finds the anti-CSRF token described by the csrf option of jQuery.ajax
+function csrfToken( csrf ) {
+	var token = jQuery.isFunction( csrf.token ) ? csrf.token() : csrf.token,
+		cookies, i, parts;
+
+	if ( !token && csrf.meta ) {
+		token = jQuery( "meta[name='" + csrf.meta + "']" ).attr( "content" );
+	}
+
+	if ( !token && csrf.cookie ) {
+		cookies = document.cookie ? document.cookie.split( /;\s*/ ) : [];
+
+		for ( i = 0; i < cookies.length; i++ ) {
+			parts = cookies[ i ].split( "=" );
+
+			if ( decodeURIComponent( parts.shift() ) === csrf.cookie ) {
+				token = decodeURIComponent( parts.join( "=" ) );
+				break;
+			}
+		}
+	}
+
+	return token;
+}
+
+// Tells if a url is on another domain than the page
+function isCrossDomain( url ) {
+	// Matches an absolute URL, and saves the domain
+	var parts = rurl.exec( url );
+
+	return !!( parts &&
+		( parts[1] && parts[1] !== location.protocol || parts[2] !== location.host ) );
+}
+
+// Loads a script for jQuery.require, it runs once the previous one did
+function requireScript( url, previous ) {
+	var executed = jQuery.Deferred(),
+
+		// Scripts of other domains can only be loaded with a script tag, which
+		// runs them as soon as they arrive: they wait for their turn instead
+		fetched = !isCrossDomain( url ) && jQuery.ajax({
+			url: url,
+			dataType: "text"
+		});
+
+	// Failed scripts can be required again
+	function fail() {
+		delete required[ url ];
+		executed.reject.apply( executed, arguments );
+	}
+
+	jQuery.when( previous ).then(function() {
+		if ( fetched ) {
+			fetched.then(function( text ) {
+				jQuery.globalEval( text );
+				executed.resolve();
+			}, fail );
+
+		} else {
+			jQuery.ajax({
+				url: url,
+				dataType: "script",
+				cache: true,
+				success: function() {
+					executed.resolve();
+				},
+				error: fail
+			});
+		}
+	}, fail );
+
+	return executed.promise();
+}
+
+// Splits a query string into a list of name/value pairs
+function splitParams( data ) {
+	return jQuery.map( data ? data.split("&") : [], function( pair ) {
+		pair = pair.split("=");
+
+		return {
+			name: decodeURIComponent( pair[0].replace( /\+/g, " " ) ),
+			value: decodeURIComponent( pair.slice( 1 ).join("=").replace( /\+/g, " " ) )
+		};
+	});
+}
+
+// Sends a form with jQuery.ajax (see ajaxSubmit)
+function submitForm( form, options, button ) {
+	options = options || {};
+
+	var extra = splitParams( typeof options.data === "string" ? options.data : jQuery.param( options.data || {} ) ),
+		s = jQuery.extend( {}, options, {
+			url: options.url || form.getAttribute("action") || location.href,
+			type: ( options.type || form.getAttribute("method") || "GET" ).toUpperCase(),
+			data: null
+		}),
+		files = jQuery( "input:file", form ).filter(function() {
+			return this.name && !this.disabled && this.value;
+		}),
+		// The fields are sent by FormData or by the form itself
+		submitted = false,
+		data;
+
+	if ( button && button.name ) {
+		extra.unshift({ name: button.name, value: button.value });
+	}
+
+	// Only multipart POST forms can send files
+	if ( s.type === "POST" && rmultipart.test( form.getAttribute("enctype") || "" ) ) {
+		if ( window.FormData && !options.iframe ) {
+			data = new FormData( form );
+
+			jQuery.each( extra, function() {
+				data.append( this.name, this.value );
+			});
+
+			s.data = data;
+			s.processData = false;
+			s.contentType = false;
+			submitted = true;
+
+		} else if ( files.length || options.iframe ) {
+			// The form itself is submitted, only the extra data is added
+			s.data = jQuery.param( extra );
+			s.iframe = true;
+			s.form = form;
+			submitted = true;
+		}
+	}
+
+	if ( !submitted ) {
+		s.data = jQuery.param( jQuery( form ).serializeArray().concat( extra ) );
+	}
+
+	return jQuery.ajax( s );
+}
+
+// Adds a completed request to jQuery.ajaxLog
+function ajaxRecord( s, jXHR, textStatus, responses ) {
+	var text = responses && responses.text,
+		length = jXHR.getResponseHeader( "Content-Length" );
+
+	ajaxLogEntries.push({
+		url: s.url,
+		type: s.type,
+		status: jXHR.status,
+		textStatus: textStatus,
+		duration: jXHR.timing.duration,
+		size: typeof text === "string" ? text.length : length ? parseInt( length, 10 ) : undefined,
+		timing: jXHR.timing
+	});
+
+	if ( ajaxLogEntries.length > ajaxLogLimit ) {
+		ajaxLogEntries.shift();
+	}
+}
+
+// Reads the requests kept by the offline option
+function offlineLoad() {
+	var list;
+
+	try {
+		list = window.localStorage && jQuery.parseJSON( window.localStorage.getItem( offlineKey ) || "[]" );
+	} catch(e) {}
+
+	return list || offlineMemory.slice( 0 );
+}
+
+function offlineSave( list ) {
+	offlineMemory = list;
+
+	try {
+		if ( window.localStorage ) {
+			window.localStorage.setItem( offlineKey, JSON.stringify( list ) );
+		}
+	} catch(e) {}
+}
+
+// Keeps a request that couldn't reach the server, resend will send
+// it again (requests being replayed are already kept)
+function ajaxPark( s, resend ) {
+	var list;
+
+	if ( !s.offlineId ) {
+		s.offlineId = now() + "." + ( ++offlineUid );
+
+		list = offlineLoad();
+		list.push({
+			id: s.offlineId,
+			url: s.url,
+			type: s.type,
+			data: s.hasContent ? s.data : undefined,
+			contentType: s.contentType,
+			dataType: s.dataType,
+			headers: s.headers,
+			csrf: s.csrf
+		});
+		offlineSave( list );
+	}
+
+	offlineRequests[ s.offlineId ] = resend;
+
+	// Still offline, try again later
+	if ( s.offlineId === offlineCurrent ) {
+		offlineCurrent = undefined;
+	}
+}
+
+// Sends the oldest request kept by the offline option, through the request
+// of this page that made it, or a new one for requests of previous pages
+function ajaxReplayNext() {
+	var entry = offlineLoad()[ 0 ];
+
+	offlineCurrent = entry && entry.id;
+
+	if ( entry ) {
+		if ( offlineRequests[ entry.id ] ) {
+			offlineRequests[ entry.id ]();
+
+		} else {
+			jQuery.ajax({
+				url: entry.url,
+				type: entry.type,
+				data: entry.data,
+				contentType: entry.contentType,
+				dataType: entry.dataType,
+				headers: entry.headers,
+				csrf: entry.csrf,
+				processData: false,
+				offline: "queue",
+				offlineId: entry.id
+			});
+		}
+	}
+}
+
+// Puts a request in its named queue, send is called as soon as the queue
+// allows it (from the next ajaxDequeue). Returns a function taking the
+// request out of the queue.
+// The queueMode option can be "serial" (the default), "abort" to abort the
+// requests of the queue beforehand, or the maximum number of concurrent requests
+function ajaxEnqueue( s, jXHR, send ) {
+	var name = s.queue,
+		queue = queues[ name ] || ( queues[ name ] = { limit: 1, running: [], waiting: [] } ),
+		entry = { jXHR: jXHR, send: send },
+		previous;
+
+	if ( s.queueMode === "abort" ) {
+		previous = queue.running.concat( queue.waiting );
+		queue.waiting = [];
+
+		jQuery.each( previous, function( i, entry ) {
+			entry.jXHR.abort();
+		});
+	}
+
+	queue.limit = typeof s.queueMode === "number" ? s.queueMode : 1;
+	queue.waiting.push( entry );
+
+	return function() {
+		var filter = function( other ) {
+			return other !== entry;
+		};
+
+		queue.running = jQuery.grep( queue.running, filter );
+		queue.waiting = jQuery.grep( queue.waiting, filter );
+		ajaxDequeue( queue );
+	};
+}
+
+// Sends the waiting requests of a queue, as long as the limit allows it
+function ajaxDequeue( queue ) {
+	var entry;
+
+	while ( queue.waiting.length && queue.running.length < queue.limit ) {
+		entry = queue.waiting.shift();
+		queue.running.push( entry );
+		entry.send();
+	}
+}
+
+// Stores a response in the cache, the parsed data is kept as the response
+// of the final dataType so that it is not converted again when served
+function ajaxCacheStore( s, key, data, status, statusText, responses, headers ) {
+	var dataType = s.dataTypes[ s.dataTypes.length - 1 ];
+
+	responses = jQuery.extend( {}, responses );
+
+	if ( dataType ) {
+		responses[ dataType ] = data;
+	}
+
+	cacheEntries[ key ] = {
+		url: s.url,
+		data: data,
+		dataType: dataType,
+		status: status,
+		statusText: statusText,
+		responses: responses,
+		headers: headers,
+		expires: now() + ( s.cache.ttl || 0 )
+	};
+}
+
+// The server told that a cached response is still valid,
+// returns its data and keeps it for another ttl
+function ajaxCacheRevalidate( s, jXHR, entry ) {
+	ajaxHandleResponses( s, jXHR, entry.responses );
+	entry.expires = now() + ( s.cache.ttl || 0 );
+	return entry.data;
+}
+
+// Transport serving a cached response
+function cachedTransport( s, entry ) {
+	var timer;
+
+	return {
+		send: function( headers, complete ) {
+			function respond() {
+				timer = undefined;
+				complete( entry.status, entry.statusText, entry.responses, entry.headers );
+			}
+
+			// Keep asynchronous requests asynchronous
+			if ( s.async ) {
+				timer = setTimeout( respond, 0 );
+			} else {
+				respond();
+			}
+		},
+
+		abort: function() {
+			if ( timer ) {
+				clearTimeout( timer );
+				timer = undefined;
+			}
+		}
+	};
+}
+
+// Transport waiting for the response of an identical request in progress
+function sharedTransport( leader ) {
+	var callback;
+
+	leader.followers = ( leader.followers || 0 ) + 1;
+
+	return {
+		send: function( headers, complete ) {
+			callback = complete;
+			leader.done(function() {
+				if ( callback ) {
+					callback.apply( this, arguments );
+				}
+			});
+		},
+
+		abort: function() {
+			if ( callback ) {
+				callback = undefined;
+
+				// The last one waiting for an aborted request aborts it
+				if ( !--leader.followers && leader.abort ) {
+					leader.abort();
+				}
+			}
+		}
+	};
+}
+
+// Opens a stream of server messages. Events triggered on the stream:
+// open, message (and the named events listed in the events option) with
+// the data and the id of the message, error, reconnect with the delay
+// and the number of the attempt, and close
+function openStream( url, options ) {
+	var s = jQuery.extend( {}, streamDefaults, options ),
+		reconnect = s.reconnect && jQuery.extend( {}, streamDefaults.reconnect,
+			s.reconnect === true ? null : s.reconnect ),
+		converter = jQuery.ajaxSettings.converters[ "text " + s.dataType ],
+		source, jXHR, timer,
+
+		stream = {
+			url: url,
+			// 0: connecting, 1: open, 2: closed
+			readyState: 0,
+			lastEventId: "",
+			retries: 0,
+
+			bind: function() {
+				var target = jQuery( stream );
+				target.bind.apply( target, arguments );
+				return stream;
+			},
+
+			one: function() {
+				var target = jQuery( stream );
+				target.one.apply( target, arguments );
+				return stream;
+			},
+
+			unbind: function() {
+				var target = jQuery( stream );
+				target.unbind.apply( target, arguments );
+				return stream;
+			},
+
+			close: function() {
+				if ( stream.readyState !== 2 ) {
+					stream.readyState = 2;
+					disconnect();
+					trigger( "close" );
+				}
+				return stream;
+			}
+		};
+
+	function trigger( type, data ) {
+		jQuery.event.trigger( type, data, stream );
+	}
+
+	function opened() {
+		if ( stream.readyState === 0 ) {
+			stream.readyState = 1;
+			stream.retries = 0;
+			trigger( "open" );
+		}
+	}
+
+	function dispatch( type, data, id ) {
+		if ( id ) {
+			stream.lastEventId = id;
+		}
+
+		try {
+			if ( typeof data === "string" && jQuery.isFunction( converter ) ) {
+				data = converter( data );
+			}
+		} catch( e ) {
+			trigger( "error", [ e ] );
+			return;
+		}
+
+		trigger( type, [ data, id ] );
+	}
+
+	function disconnect() {
+		if ( timer ) {
+			clearTimeout( timer );
+			timer = undefined;
+		}
+
+		if ( source ) {
+			source.close();
+			source = undefined;
+		}
+
+		if ( jXHR ) {
+			jXHR.abort();
+			jXHR = undefined;
+		}
+	}
+
+	// Wait longer after each failure, until a connection succeeds again
+	function retry() {
+		var delay;
+
+		disconnect();
+
+		if ( !reconnect || stream.retries >= reconnect.count ) {
+			stream.close();
+			return;
+		}
+
+		delay = Math.min( reconnect.delay * Math.pow( reconnect.backoff, stream.retries++ ), reconnect.max );
+		stream.readyState = 0;
+		trigger( "reconnect", [ delay, stream.retries ] );
+
+		// A reconnect handler may have closed the stream
+		if ( stream.readyState === 0 ) {
+			timer = setTimeout( connect, delay );
+		}
+	}
+
+	function listen() {
+		var query = s.data && ( typeof s.data === "string" ? s.data : jQuery.param( s.data ) );
+
+		source = new EventSource( url + ( query ? ( rquery.test( url ) ? "&" : "?" ) + query : "" ),
+			{ withCredentials: s.withCredentials } );
+
+		source.onopen = opened;
+
+		source.onmessage = function( e ) {
+			dispatch( "message", e.data, e.lastEventId );
+		};
+
+		jQuery.each( s.events, function( i, type ) {
+			source.addEventListener( type, function( e ) {
+				dispatch( type, e.data, e.lastEventId );
+			}, false );
+		});
+
+		// The browser reconnects by itself (sending the Last-Event-ID header)
+		// after most errors, the stream only reconnects once it gave up
+		source.onerror = function( e ) {
+			trigger( "error", [ e ] );
+
+			if ( stream.readyState !== 2 ) {
+				// EventSource.CONNECTING
+				if ( source && source.readyState === 0 ) {
+					stream.readyState = 0;
+				} else {
+					retry();
+				}
+			}
+		};
+	}
+
+	// Each response is a message, the next request is sent as soon as it arrives
+	function poll() {
+		jXHR = jQuery.ajax({
+			url: url,
+			type: s.type,
+			data: s.data,
+			dataType: "text",
+			timeout: s.timeout,
+			cache: false,
+			global: false,
+			beforeSend: function( xhr ) {
+				if ( stream.lastEventId ) {
+					xhr.setRequestHeader( "Last-Event-ID", stream.lastEventId );
+				}
+			},
+			success: function( data, status, xhr ) {
+				if ( stream.readyState !== 2 ) {
+					jXHR = undefined;
+					opened();
+
+					if ( xhr.status !== 204 && data ) {
+						dispatch( "message", data, xhr.getResponseHeader( "Last-Event-ID" ) );
+					}
+
+					if ( stream.readyState !== 2 ) {
+						poll();
+					}
+				}
+			},
+			error: function( xhr, status, error ) {
+				if ( stream.readyState !== 2 && status !== "abort" ) {
+					jXHR = undefined;
+					trigger( "error", [ xhr, status, error ] );
+
+					if ( stream.readyState !== 2 ) {
+						retry();
+					}
+				}
+			}
+		});
+	}
+
+	function connect() {
+		timer = undefined;
+
+		if ( s.transport === "eventsource" ||
+				s.transport === "auto" && window.EventSource && s.type.toUpperCase() === "GET" ) {
+			listen();
+		} else {
+			poll();
+		}
+	}
+
+	connect();
+
+	return stream;
+}
+
+// Requests kept by the offline option go as soon as the browser is back online
+jQuery( window ).bind( "online", function() {
+	jQuery.ajaxOffline.replay();
+});
+
+// Install script dataType
+jQuery.ajaxPrefilter( "script", function( s ) {
+	if ( s.cache === null ) {
+		s.cache = false;
+	}
+});
+
+// Detect, normalize options and install callbacks for jsonp requests
+jQuery.ajaxPrefilter( "json jsonp", function( s, originalSettings, jXHR ) {
+
+	// Handle JSONP Parameter Callbacks
+	if ( s.dataTypes[ 0 ] === "jsonp" ) {
+		if ( s.type === "GET" ) {
+			if ( !jsre.test( s.url ) ) {
+				s.url += (rquery.test( s.url ) ? "&" : "?") + (s.jsonp || "callback") + "=?";
+			}
+		} else if ( !s.data || !jsre.test(s.data) ) {
+			s.data = (s.data ? s.data + "&" : "") + (s.jsonp || "callback") + "=?";
+		}
+	}
+
+	// Build temporary JSONP function
+	if ( s.dataTypes[ 0 ] === "jsonp" || s.data && jsre.test(s.data) || jsre.test(s.url) ) {
+		var jsonp = "jsonp" + jsc++,
+			responseContainer;
+
+		// Replace the =? sequence both in the query string and the data
+		if ( s.data ) {
+			s.data = (s.data + "").replace(jsre, "=" + jsonp + "$1");
+		}
+
+		s.url = s.url.replace(jsre, "=" + jsonp + "$1");
+
+		// Handle JSONP-style loading
+		window[ jsonp ] = function( response ) {
+			responseContainer = [ response ];
+		};
+
+		var remove = function() {
+			window[ jsonp ] = undefined;
+			try{ delete window[ jsonp ]; } catch(e){}
+		};
+
+		// Garbage collect once the request is done. After a timeout or an abort,
+		// the script can still come: it gets a function removing itself
+		jXHR.always(function( data, status ) {
+			if ( status === "timeout" || status === "abort" ) {
+				window[ jsonp ] = remove;
+			} else {
+				remove();
+			}
+		});
+
+		// Use data converter to retrieve json after script execution
+		s.converters[ "script json" ] = function() {
+			if ( !responseContainer ) {
+				throw jsonp + " was not called";
+			}
+			return responseContainer[ 0 ];
+		};
+
+		// force json dataType
+		s.dataTypes[ 0 ] = "json";
+
+		// We need to make sure
+		// that a JSONP style response is executed properly
+		return "script";
+	}
+});
+
+// Bind script tag hack transport
+jQuery.ajaxTransport( "script", function( s ) {
+
+	// This transport only deals with cross domain GET requests
+	if ( s.crossDomain && s.type === "GET" ) {
+
+		var script,
+			head = document.getElementsByTagName("head")[0] || document.documentElement;
+
+		return {
+
+			send: function( _, callback ) {
+
+				script = document.createElement("script");
+				script.src = s.url;
+
+				if ( s.scriptCharset ) {
+					script.charset = s.scriptCharset;
+				}
+
+				// Attach handlers for all browsers
+				script.onload = script.onreadystatechange = function( _, isAbort ) {
+
+					if ( isAbort || !script.readyState || /loaded|complete/.test( script.readyState ) ) {
+
+						// Handle memory leak in IE
+						script.onload = script.onreadystatechange = script.onerror = null;
+
+						// Remove the script
+						if ( head && script.parentNode ) {
+							head.removeChild( script );
+						}
+
+						// Dereference the script
+						script = undefined;
+
+						// Callback if not abort
+						if ( !isAbort ) {
+							callback( 200, "success" );
+						}
+					}
+				};
+
+				// The script couldn't be loaded (IE doesn't tell, the timeout
+				// option is the only way to find out there)
+				script.onerror = function() {
+					script.onload = script.onreadystatechange = script.onerror = null;
+
+					if ( head && script.parentNode ) {
+						head.removeChild( script );
+					}
+
+					script = undefined;
+					callback( 404, "error" );
+				};
+
+				// Use insertBefore instead of appendChild  to circumvent an IE6 bug.
+				// This arises when a base node is used (#2709 and #4378).
+				head.insertBefore( script, head.firstChild );
+			},
+
+			abort: function() {
+				if ( script ) {
+					script.onload( 0, 1 );
+				}
+			}
+		};
+	}
+});
+
+// Bind XMLHttpRequest transport (used for everything the other transports don't handle)
+// Tell if the browser can make requests, and cross-domain ones (XMLHttpRequest level 2)
+(function() {
+	var xhr;
+
+	// Creating one throws when ActiveX is disabled in IE
+	try {
+		xhr = jQuery.ajaxSettings.xhr();
+	} catch(e) {}
+
+	jQuery.extend( jQuery.support, {
+		ajax: !!xhr,
+		cors: !!xhr && ( "withCredentials" in xhr )
+	});
+})();
+
+jQuery.ajaxTransport(function( s ) {
+
+	var xhr, callback;
+
+	// Other domains can't be reached without cross-origin support
+	if ( s.crossDomain && !jQuery.support.cors ) {
+		return;
+	}
+
+	return {
+
+		send: function( headers, complete, progress ) {
+
+			// Create the request object
+			xhr = s.xhr();
+
+			// Open the socket
+			// Passing null username, generates a login popup on Opera (#2865)
+			if ( s.username ) {
+				xhr.open(s.type, s.url, s.async, s.username, s.password);
+			} else {
+				xhr.open(s.type, s.url, s.async);
+			}
+
+			// Fields of the native object, like withCredentials (they can only be set once opened)
+			if ( s.xhrFields ) {
+				for ( var i in s.xhrFields ) {
+					xhr[ i ] = s.xhrFields[ i ];
+				}
+			}
+
+			// Override mime type if needed
+			if ( s.mimeType && xhr.overrideMimeType ) {
+				xhr.overrideMimeType( s.mimeType );
+			}
+
+			for ( i in headers ) {
+				xhr.setRequestHeader( i, headers[ i ] );
+			}
+
+			// Listener
+			callback = function( isAbort ) {
+				var status, statusText, responseHeaders, responses, xml;
+
+				// Was never called and is aborted or complete
+				if ( callback && ( isAbort || xhr.readyState === 4 ) ) {
+
+					// Only called once
+					callback = undefined;
+
+					// Detach the listeners (IE doesn't accept null)
+					if ( s.async ) {
+						xhr.onreadystatechange = function() {};
+
+						if ( xhr.upload ) {
+							xhr.upload.onprogress = null;
+							xhr.onprogress = null;
+						}
+					}
+
+					// If it's an abort
+					if ( isAbort ) {
+						// Abort it manually if needed
+						if ( xhr.readyState !== 4 ) {
+							xhr.abort();
+						}
+
+					} else {
+						// Get info
+						status = xhr.status;
+						responseHeaders = xhr.getAllResponseHeaders();
+						responses = {};
+						xml = xhr.responseXML;
+
+						// Construct response list
+						if ( xml && xml.documentElement && xml.documentElement.nodeName !== "parsererror" ) {
+							responses.xml = xml;
+						}
+						responses.text = xhr.responseText;
+
+						// Firefox throws an exception when accessing
+						// statusText for faulty cross-domain requests
+						try {
+							statusText = xhr.statusText;
+						} catch(e) {
+							statusText = "";
+						}
+
+						// A status of 0 without a response means that the server
+						// couldn't be reached (local files have a status of 0 too)
+						if ( !status && !responses.text && !responses.xml ) {
+							complete( -1, "Network error" );
+
+						// Call complete
+						} else {
+							complete( status, statusText, responses, responseHeaders );
+						}
+					}
+
+					// Stop memory leaks
+					xhr = undefined;
+				}
+			};
+
+			if ( s.async ) {
+				xhr.onreadystatechange = function() {
+					if ( callback ) {
+						callback();
+					}
+				};
+
+				// Progress events, where supported (XMLHttpRequest level 2)
+				if ( xhr.upload ) {
+					xhr.onprogress = function( e ) {
+						progress( e.loaded, e.lengthComputable ? e.total : undefined );
+					};
+
+					if ( s.hasContent && s.data && s.uploadListeners ) {
+						xhr.upload.onprogress = function( e ) {
+							progress( e.loaded, e.lengthComputable ? e.total : undefined, true );
+						};
+					}
+				}
+			}
+
+			// Send the data
+			xhr.send( s.hasContent && s.data || null );
+
+			// firefox 1.5 doesn't fire statechange for sync requests
+			if ( !s.async ) {
+				callback();
+			}
+		},
+
+		abort: function() {
+			if ( callback ) {
+				callback( 1 );
+			}
+		}
+	};
+});
+
+// Submit a form into a hidden iframe for the file uploads xhr can't do
+// (see ajaxSubmit), the content of the iframe is the response
+jQuery.ajaxTransport( "+*", function( s ) {
+
+	if ( s.iframe && s.form ) {
+		var iframe, timer;
+
+		return {
+
+			send: function( headers, complete ) {
+				var form = s.form,
+					name = "jQueryUpload" + jsc++,
+					attrs = {
+						target: name,
+						action: s.url,
+						method: "POST",
+						enctype: "multipart/form-data"
+					},
+					saved = {},
+					added;
+
+				// javascript:false avoids the security warning of IE over https
+				iframe = jQuery( "<iframe name='" + name + "' src='javascript:false;' style='display:none'></iframe>" )
+					.appendTo( document.body );
+
+				// Let the iframe load its blank page before using it
+				timer = setTimeout(function() {
+					timer = undefined;
+
+					iframe.one("load", function() {
+						var doc = this.contentWindow ? this.contentWindow.document : this.contentDocument,
+							responses = ajaxIframeResponses( doc );
+
+						// Removing the iframe right away keeps the browser loading in Firefox
+						setTimeout(function() {
+							iframe.remove();
+							iframe = undefined;
+						}, 1);
+
+						complete( 200, "OK", responses );
+					});
+
+					// The extra data goes in hidden inputs
+					added = jQuery.map( splitParams( s.data ), function( pair ) {
+						return jQuery("<input type='hidden' />").attr( pair )[0];
+					});
+					jQuery( added ).appendTo( form );
+
+					// Attributes are used since inputs can shadow the properties of the form
+					jQuery.each( attrs, function( attr, value ) {
+						saved[ attr ] = form.getAttribute( attr );
+						form.setAttribute( attr, value );
+					});
+
+					// IE only knows about encoding
+					saved.encoding = form.encoding;
+					form.encoding = attrs.enctype;
+
+					form.submit();
+
+					form.encoding = saved.encoding;
+					delete saved.encoding;
+
+					jQuery.each( saved, function( attr, value ) {
+						if ( value == null ) {
+							form.removeAttribute( attr );
+						} else {
+							form.setAttribute( attr, value );
+						}
+					});
+
+					jQuery( added ).remove();
+				}, 10);
+			},
+
+			abort: function() {
+				if ( timer ) {
+					clearTimeout( timer );
+					timer = undefined;
+				}
+
+				if ( iframe ) {
+					// Stop the upload
+					iframe.unbind("load").attr( "src", "javascript:false;" ).remove();
+					iframe = undefined;
+				}
+			}
+		};
+	}
+});
+
+// Gets the responses out of the document loaded by the iframe transport:
+// XML documents, the value of a textarea (which lets the server send any
+// text without the browser altering it), the content of a pre element
+// (text shown as a page) or the html of the body
+function ajaxIframeResponses( doc ) {
+	var root = doc.XMLDocument || doc,
+		body = doc.body,
+		first = body && jQuery( body ).children()[0],
+		responses = {};
+
+	if ( !body ) {
+		responses.xml = root;
+		responses.text = window.XMLSerializer ?
+			new XMLSerializer().serializeToString( root ) :
+			root.xml;
+
+	} else if ( first && jQuery.nodeName( first, "textarea" ) ) {
+		responses.text = first.value;
+
+	} else if ( first && jQuery.nodeName( first, "pre" ) && jQuery( body ).children().length === 1 ) {
+		responses.text = jQuery( first ).text();
+
+	} else {
+		responses.text = body.innerHTML;
+	}
+
+	return responses;
+}
+
+// Find the most recently registered mock for a request
+function findMock( s ) {
+	var i = mocks.length, mock, url,
+		path = s.url.replace( rqueryHash, "" );
+
+	while ( i-- ) {
+		mock = mocks[ i ];
+		url = mock.url;
+
+		if ( mock.type && mock.type.toUpperCase() !== s.type ) {
+			continue;
+		}
+
+		// Strings match the path of the url (the query string is ignored)
+		if ( typeof url === "string" ?
+				path === url || path.slice( -url.length - 1 ) === "/" + url :
+			jQuery.isFunction( url ) ?
+				url( s ) :
+				url.test( s.url ) ) {
+			return mock;
+		}
+	}
+}
+
+// Serve registered mocks instead of going to the network
+// (prepended so that it comes before the script tag and xhr transports)
+jQuery.ajaxTransport( "+* +script", function( s ) {
+
+	var mock = findMock( s ),
+		timer;
+
+	if ( mock ) {
+		return {
+
+			send: function( headers, complete, progress ) {
+
+				// mock.response can compute (part of) the response,
+				// either as a string or as an object overriding the mock's fields
+				var result = jQuery.isFunction( mock.response ) ?
+						mock.response.call( mock, s, headers ) :
+						undefined,
+					response = jQuery.extend( {
+						status: 200,
+						statusText: "OK",
+						headers: {},
+						responseText: "",
+						responseTime: 0
+					}, mock, typeof result === "string" ? { responseText: result } : result ),
+					responses = { text: response.responseText },
+					responseHeaders = "",
+					name;
+
+				if ( response.responseXML ) {
+					responses.xml = response.responseXML;
+				}
+
+				if ( response.contentType ) {
+					responseHeaders += "Content-Type: " + response.contentType + "\r\n";
+				}
+
+				for ( name in response.headers ) {
+					responseHeaders += name + ": " + response.headers[ name ] + "\r\n";
+				}
+
+				// The request body and the response are reported as received at once
+				function respond() {
+					var length = response.responseText.length;
+
+					timer = undefined;
+
+					if ( s.hasContent && s.data ) {
+						progress( s.data.length, s.data.length, true );
+					}
+
+					progress( length, length );
+					complete( response.status, response.statusText, responses, responseHeaders );
+				}
+
+				// Simulate the latency of the network
+				if ( s.async ) {
+					timer = setTimeout( respond, response.responseTime );
+				} else {
+					respond();
+				}
+			},
+
+			abort: function() {
+				if ( timer ) {
+					clearTimeout( timer );
+					timer = undefined;
+				}
+			}
+		};
+	}
 });
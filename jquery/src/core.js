@@ -37,6 +37,9 @@ var jQuery = function( selector, context ) {
 	// Keep a UserAgent string for use with jQuery.browser
 	userAgent = navigator.userAgent.toLowerCase(),
 
+	// Methods exposed by the read-only promise of a Deferred
+	promiseMethods = "then done fail always isResolved isRejected promise".split(" "),
+
 	// Save a reference to some core methods
 	toString = Object.prototype.toString,
 	push = Array.prototype.push,
@@ -364,6 +367,40 @@ jQuery.extend({
 		}
 	},
 
+	parseJSON: function( data ) {
+		if ( typeof data !== "string" || !data ) {
+			return null;
+		}
+
+		// Make sure leading/trailing whitespace is removed (IE can't handle it)
+		data = jQuery.trim( data );
+
+		// Attempt to parse using the native JSON parser first
+		return window.JSON && window.JSON.parse ?
+			window.JSON.parse( data ) :
+			(new Function("return " + data))();
+	},
+
+	// Cross-browser xml parsing
+	parseXML: function( data ) {
+		var xml;
+
+		if ( window.DOMParser ) {
+			xml = (new DOMParser()).parseFromString( data, "text/xml" );
+		} else {
+			// IE
+			xml = new ActiveXObject( "Microsoft.XMLDOM" );
+			xml.async = "false";
+			xml.loadXML( data );
+		}
+
+		if ( !xml || !xml.documentElement || xml.getElementsByTagName( "parsererror" ).length ) {
+			throw "parsererror";
+		}
+
+		return xml;
+	},
+
 	nodeName: function( elem, name ) {
 		return elem.nodeName && elem.nodeName.toUpperCase() === name.toUpperCase();
 	},
@@ -492,6 +529,174 @@ jQuery.extend({
 		return ret.concat.apply( [], ret );
 	},
 
+	// Create a simple deferred (one callbacks list)
+	_Deferred: function() {
+		var callbacks = [],
+			// stored [ context, args ] once fired
+			fired,
+			// to avoid firing when already doing so
+			firing,
+			// flag to know if the deferred has been cancelled
+			cancelled,
+			deferred = {
+
+				// done( f1, f2, ...)
+				done: function() {
+					if ( !cancelled ) {
+						var args = arguments, i = 0, length = args.length, elem, _fired;
+
+						// If already fired, fire the new callbacks right away
+						if ( fired ) {
+							_fired = fired;
+							fired = 0;
+						}
+
+						for ( ; i < length; i++ ) {
+							elem = args[ i ];
+
+							if ( jQuery.isArray( elem ) ) {
+								deferred.done.apply( deferred, elem );
+							} else if ( jQuery.isFunction( elem ) ) {
+								callbacks.push( elem );
+							}
+						}
+
+						if ( _fired ) {
+							deferred.resolveWith( _fired[ 0 ], _fired[ 1 ] );
+						}
+					}
+					return this;
+				},
+
+				// resolve with given context and args
+				resolveWith: function( context, args ) {
+					if ( !cancelled && !fired && !firing ) {
+						args = args || [];
+						firing = 1;
+						try {
+							while ( callbacks[ 0 ] ) {
+								callbacks.shift().apply( context, args );
+							}
+						} finally {
+							fired = [ context, args ];
+							firing = 0;
+						}
+					}
+					return this;
+				},
+
+				// resolve with this as context and given arguments
+				resolve: function() {
+					deferred.resolveWith( this, arguments );
+					return this;
+				},
+
+				// Has this deferred been resolved?
+				isResolved: function() {
+					return !!( firing || fired );
+				},
+
+				// Cancel
+				cancel: function() {
+					cancelled = 1;
+					callbacks = [];
+					return this;
+				}
+			};
+
+		return deferred;
+	},
+
+	// Full fledged deferred (two callbacks list)
+	Deferred: function( func ) {
+		var deferred = jQuery._Deferred(),
+			failDeferred = jQuery._Deferred(),
+			promise;
+
+		// Add errorDeferred methods, then and promise
+		jQuery.extend( deferred, {
+			then: function( doneCallbacks, failCallbacks ) {
+				deferred.done( doneCallbacks ).fail( failCallbacks );
+				return this;
+			},
+			always: function() {
+				return deferred.done.apply( deferred, arguments ).fail.apply( this, arguments );
+			},
+			fail: failDeferred.done,
+			rejectWith: failDeferred.resolveWith,
+			reject: failDeferred.resolve,
+			isRejected: failDeferred.isResolved,
+
+			// Get a promise for this deferred
+			// If obj is provided, the promise aspect is added to the object
+			promise: function( obj ) {
+				if ( obj == null ) {
+					if ( promise ) {
+						return promise;
+					}
+					promise = obj = {};
+				}
+
+				var i = promiseMethods.length;
+				while ( i-- ) {
+					obj[ promiseMethods[ i ] ] = deferred[ promiseMethods[ i ] ];
+				}
+				return obj;
+			}
+		});
+
+		// Make sure only one callback list will be used
+		deferred.done( failDeferred.cancel ).fail( deferred.cancel );
+
+		// Unexpose cancel
+		delete deferred.cancel;
+
+		// Call given func if any
+		if ( func ) {
+			func.call( deferred, deferred );
+		}
+
+		return deferred;
+	},
+
+	// Deferred helper, joins several deferreds (or plain values) into one promise
+	when: function( firstParam ) {
+		var args = arguments,
+			i = 0,
+			length = args.length,
+			count = length,
+			deferred = length <= 1 && firstParam && jQuery.isFunction( firstParam.promise ) ?
+				firstParam :
+				jQuery.Deferred();
+
+		function resolveFunc( i ) {
+			return function( value ) {
+				args[ i ] = arguments.length > 1 ? slice.call( arguments, 0 ) : value;
+				if ( !( --count ) ) {
+					deferred.resolveWith( deferred, slice.call( args, 0 ) );
+				}
+			};
+		}
+
+		if ( length > 1 ) {
+			for ( ; i < length; i++ ) {
+				if ( args[ i ] && jQuery.isFunction( args[ i ].promise ) ) {
+					args[ i ].promise().then( resolveFunc( i ), deferred.reject );
+				} else {
+					// Plain values are considered already resolved
+					--count;
+				}
+			}
+			if ( !count ) {
+				deferred.resolveWith( deferred, slice.call( args, 0 ) );
+			}
+		} else if ( deferred !== firstParam ) {
+			deferred.resolveWith( deferred, length ? [ firstParam ] : [] );
+		}
+
+		return deferred.promise();
+	},
+
 	// Use of jQuery.browser is deprecated.
 	// It's included for backwards compatibility and plugins,
 	// although they should work to migrate away.
@@ -3,6 +3,23 @@
  * Many of the ideas behind this code originated from
  * Dean Edwards' addEvent library.
  */
+var rkeyEvent = /^key/,
+	rmouseEvent = /^(?:mouse|contextmenu)|click/,
+
+	// Names of the keys (as in DOM Level 3 key values) by keyCode
+	keyNames = {
+		8: "Backspace", 9: "Tab", 13: "Enter", 16: "Shift", 17: "Control", 18: "Alt",
+		19: "Pause", 20: "CapsLock", 27: "Escape", 32: " ", 33: "PageUp", 34: "PageDown",
+		35: "End", 36: "Home", 37: "ArrowLeft", 38: "ArrowUp", 39: "ArrowRight", 40: "ArrowDown",
+		45: "Insert", 46: "Delete", 91: "Meta", 93: "ContextMenu", 144: "NumLock", 145: "ScrollLock"
+	},
+
+	// Older names some browsers give to the key property
+	keyAliases = {
+		Esc: "Escape", Left: "ArrowLeft", Up: "ArrowUp", Right: "ArrowRight", Down: "ArrowDown",
+		Del: "Delete", Spacebar: " ", Win: "Meta", Apps: "ContextMenu", Scroll: "ScrollLock"
+	};
+
 jQuery.event = {
 
 	// Bind an event to an element
@@ -26,10 +43,17 @@ jQuery.event = {
 		// if data is passed, bind to handler
 		if ( data !== undefined ) {
 			// Create temporary function pointer to original handler
-			var fn = handler;
+			var fn = handler,
+				// The data of delegated handlers is the one given to live, the
+				// handler dispatching them to the delegated ones isn't rated
+				rate = handler !== liveHandler &&
+					( data && data.selector && data.live ? data.data : data ) || {};
 
 			// Create unique handler function, wrapped around original handler
-			handler = this.proxy( fn );
+			// (throttled or debounced when the data has a throttle or debounce delay)
+			handler = rate.throttle ? jQuery.throttle( rate.throttle, fn, rate ) :
+				rate.debounce ? jQuery.debounce( rate.debounce, fn, rate ) :
+				this.proxy( fn );
 
 			// Store data in unique handler
 			handler.data = data;
@@ -323,7 +347,126 @@ jQuery.event = {
 		}
 	},
 
-	props: "altKey attrChange attrName bubbles button cancelable charCode clientX clientY ctrlKey currentTarget data detail eventPhase fromElement handler keyCode layerX layerY metaKey newValue offsetX offsetY originalTarget pageX pageY prevValue relatedNode relatedTarget screenX screenY shiftKey srcElement target toElement view wheelDelta which".split(" "),
+	// Properties copied from every event, the hooks of each type add their own
+	props: "altKey attrChange attrName bubbles cancelable ctrlKey currentTarget data detail eventPhase handler metaKey newValue originalTarget prevValue relatedNode relatedTarget shiftKey srcElement target view which".split(" "),
+
+	// The properties and filter (which fixes them) of each type of event,
+	// filled with the hooks below and on first use for the other types
+	fixHooks: {},
+
+	keyHooks: {
+		props: "char charCode key keyCode".split(" "),
+
+		filter: function( event, original ) {
+			// Add which for key events
+			if ( !event.which && ((event.charCode || event.charCode === 0) ? event.charCode : event.keyCode) ) {
+				event.which = event.charCode || event.keyCode;
+			}
+
+			event.key = keyName( event );
+
+			return event;
+		}
+	},
+
+	mouseHooks: {
+		props: "button buttons clientX clientY dataTransfer fromElement layerX layerY offsetX offsetY pageX pageY screenX screenY toElement".split(" "),
+
+		filter: function( event, original ) {
+			var button = event.button;
+
+			// Add relatedTarget, if necessary
+			if ( !event.relatedTarget && event.fromElement ) {
+				event.relatedTarget = event.fromElement === event.target ? event.toElement : event.fromElement;
+			}
+
+			// Calculate pageX/Y if missing and clientX/Y available
+			if ( event.pageX == null && event.clientX != null ) {
+				var doc = document.documentElement, body = document.body;
+				event.pageX = event.clientX + (doc && doc.scrollLeft || body && body.scrollLeft || 0) - (doc && doc.clientLeft || body && body.clientLeft || 0);
+				event.pageY = event.clientY + (doc && doc.scrollTop  || body && body.scrollTop  || 0) - (doc && doc.clientTop  || body && body.clientTop  || 0);
+			}
+
+			// Add which for click: 1 == left; 2 == middle; 3 == right
+			// and the button of the W3C: 0 == left; 1 == middle; 2 == right
+			// (IE gives a mask of the pressed buttons: 1 == left; 2 == right; 4 == middle)
+			if ( !event.which && button !== undefined ) {
+				event.which = (button & 1 ? 1 : ( button & 2 ? 3 : ( button & 4 ? 2 : 0 ) ));
+				event.button = event.which ? event.which - 1 : 0;
+			}
+
+			return event;
+		}
+	},
+
+	// mousewheel, wheel and DOMMouseScroll events get deltaX and deltaY: the
+	// lines scrolled, positive to the right and down (pixels count as 1/40 line)
+	wheelHooks: {
+		props: "axis button buttons clientX clientY deltaMode fromElement layerX layerY offsetX offsetY pageX pageY screenX screenY toElement wheelDelta wheelDeltaX wheelDeltaY".split(" "),
+
+		filter: function( event, original ) {
+			var x = 0, y = 0, lines;
+
+			event = jQuery.event.mouseHooks.filter( event, original );
+
+			// wheel
+			if ( original.deltaX !== undefined || original.deltaY !== undefined ) {
+				lines = original.deltaMode === 1 ? 1 :
+					original.deltaMode === 2 ? ( window.innerHeight || document.documentElement.clientHeight ) / 40 :
+					1 / 40;
+				x = ( original.deltaX || 0 ) * lines;
+				y = ( original.deltaY || 0 ) * lines;
+
+			// mousewheel, 120 for each notch (the other way round)
+			} else if ( original.wheelDelta !== undefined ) {
+				if ( original.wheelDeltaY !== undefined ) {
+					x = -original.wheelDeltaX / 120;
+					y = -original.wheelDeltaY / 120;
+				} else {
+					y = -original.wheelDelta / 120;
+				}
+
+			// DOMMouseScroll (1 is the horizontal axis)
+			} else if ( original.detail ) {
+				if ( original.axis === 1 ) {
+					x = original.detail;
+				} else {
+					y = original.detail;
+				}
+			}
+
+			event.deltaX = x;
+			event.deltaY = y;
+
+			return event;
+		}
+	},
+
+	// Pointer events are mouse events with the size, pressure and type of the pointer
+	pointerHooks: {
+		props: "button buttons clientX clientY fromElement height isPrimary layerX layerY offsetX offsetY pageX pageY pointerId pointerType pressure screenX screenY tiltX tiltY toElement width".split(" "),
+
+		filter: function( event, original ) {
+			return jQuery.event.mouseHooks.filter( event, original );
+		}
+	},
+
+	// The position of touch events is the one of their first changed touch
+	touchHooks: {
+		props: "changedTouches rotation scale targetTouches touches".split(" "),
+
+		filter: function( event, original ) {
+			var touch = event.changedTouches && event.changedTouches[0];
+
+			if ( touch ) {
+				jQuery.each( "clientX clientY pageX pageY screenX screenY".split(" "), function( i, prop ) {
+					event[ prop ] = touch[ prop ];
+				});
+			}
+
+			return event;
+		}
+	},
 
 	fix: function( event ) {
 		if ( event[ expando ] ) {
@@ -332,11 +475,17 @@ jQuery.event = {
 
 		// store a copy of the original event object
 		// and "clone" to set read-only properties
-		var originalEvent = event;
+		var originalEvent = event, type = event.type,
+			fixHook = this.fixHooks[ type ] || ( this.fixHooks[ type ] =
+				rmouseEvent.test( type ) ? this.mouseHooks :
+				rkeyEvent.test( type ) ? this.keyHooks :
+				{} ),
+			props = fixHook.props ? this.props.concat( fixHook.props ) : this.props;
+
 		event = jQuery.Event( originalEvent );
 
-		for ( var i = this.props.length, prop; i; ) {
-			prop = this.props[ --i ];
+		for ( var i = props.length, prop; i; ) {
+			prop = props[ --i ];
 			event[ prop ] = originalEvent[ prop ];
 		}
 
@@ -350,35 +499,12 @@ jQuery.event = {
 			event.target = event.target.parentNode;
 		}
 
-		// Add relatedTarget, if necessary
-		if ( !event.relatedTarget && event.fromElement ) {
-			event.relatedTarget = event.fromElement === event.target ? event.toElement : event.fromElement;
-		}
-
-		// Calculate pageX/Y if missing and clientX/Y available
-		if ( event.pageX == null && event.clientX != null ) {
-			var doc = document.documentElement, body = document.body;
-			event.pageX = event.clientX + (doc && doc.scrollLeft || body && body.scrollLeft || 0) - (doc && doc.clientLeft || body && body.clientLeft || 0);
-			event.pageY = event.clientY + (doc && doc.scrollTop  || body && body.scrollTop  || 0) - (doc && doc.clientTop  || body && body.clientTop  || 0);
-		}
-
-		// Add which for key events
-		if ( !event.which && ((event.charCode || event.charCode === 0) ? event.charCode : event.keyCode) ) {
-			event.which = event.charCode || event.keyCode;
-		}
-
 		// Add metaKey to non-Mac browsers (use ctrl for PC's and Meta for Macs)
 		if ( !event.metaKey && event.ctrlKey ) {
 			event.metaKey = event.ctrlKey;
 		}
 
-		// Add which for click: 1 == left; 2 == middle; 3 == right
-		// Note: button is not normalized, so don't use it
-		if ( !event.which && event.button !== undefined ) {
-			event.which = (event.button & 1 ? 1 : ( event.button & 2 ? 3 : ( event.button & 4 ? 2 : 0 ) ));
-		}
-
-		return event;
+		return fixHook.filter ? fixHook.filter( event, originalEvent ) : event;
 	},
 
 	proxy: function( fn, proxy, thisObject ) {
@@ -409,17 +535,16 @@ jQuery.event = {
 			},
 
 			remove: function( namespaces ) {
-				if ( namespaces.length ) {
-					var remove = 0, name = new RegExp("(^|\\.)" + namespaces[0] + "(\\.|$)");
+				var events = jQuery.data( this, "events" ), types = {}, type;
 
-					jQuery.each( (jQuery.data(this, "events").live || {}), function() {
-						if ( name.test(this.type) ) {
-							remove++;
-						}
-					});
+				jQuery.each( events.live || {}, function() {
+					types[ this.live ] = true;
+				});
 
-					if ( remove < 1 ) {
-						jQuery.event.remove( this, namespaces[0], liveHandler );
+				// Stop listening to the types that aren't delegated anymore
+				for ( type in events ) {
+					if ( type !== "live" && !types[ type ] && events[ type ][ liveHandler.guid ] ) {
+						jQuery.event.remove( this, type, liveHandler );
 					}
 				}
 			}
@@ -519,6 +644,47 @@ var withinElement = function( event ) {
 	}
 };
 
+jQuery.each({
+	keyHooks: "keydown keypress keyup",
+	mouseHooks: "click dblclick contextmenu mousedown mouseup mousemove mouseover mouseout mouseenter mouseleave drag dragstart dragend dragenter dragleave dragover drop",
+	wheelHooks: "mousewheel wheel DOMMouseScroll",
+	touchHooks: "touchstart touchmove touchend touchcancel",
+	pointerHooks: "pointerdown pointermove pointerup pointercancel pointerover pointerout pointerenter pointerleave"
+}, function( hooks, types ) {
+	jQuery.each( types.split(" "), function( i, type ) {
+		jQuery.event.fixHooks[ type ] = jQuery.event[ hooks ];
+	});
+});
+
+// The DOM Level 3 value of the key of an event, with the character typed for keypress
+function keyName( event ) {
+	var key = event.key, code = event.keyCode;
+
+	if ( key && key !== "Unidentified" ) {
+		return keyAliases[ key ] || key;
+	}
+
+	if ( event.type === "keypress" && event.charCode >= 32 ) {
+		return String.fromCharCode( event.charCode );
+	}
+
+	if ( keyNames[ code ] ) {
+		return keyNames[ code ];
+	}
+
+	if ( code >= 112 && code <= 123 ) {
+		return "F" + (code - 111);
+	}
+
+	// Digits and letters have the same code as their character
+	if ( code >= 48 && code <= 57 || code >= 65 && code <= 90 ) {
+		key = String.fromCharCode( code );
+		return event.shiftKey ? key : key.toLowerCase();
+	}
+
+	return "Unidentified";
+}
+
 // Create mouseenter and mouseleave events
 jQuery.each({
 	mouseover: "mouseenter",
@@ -534,39 +700,411 @@ jQuery.each({
 	};
 });
 
+// Wheel events, whichever one the browser fires (see wheelHooks for the deltas)
+jQuery.event.special.mousewheel = {
+	setup: function() {
+		var type = wheelType();
+
+		if ( type === "mousewheel" ) {
+			return false;
+		}
+
+		jQuery.event.add( this, type, wheelHandler );
+	},
+
+	teardown: function() {
+		var type = wheelType();
+
+		if ( type === "mousewheel" ) {
+			return false;
+		}
+
+		jQuery.event.remove( this, type, wheelHandler );
+	}
+};
+
+function wheelType() {
+	return "onwheel" in document.createElement("div") ? "wheel" :
+		document.onmousewheel !== undefined ? "mousewheel" :
+		"DOMMouseScroll";
+}
+
+function wheelHandler( event ) {
+	event.type = "mousewheel";
+	return jQuery.event.handle.apply( this, arguments );
+}
+
+// Gestures made with a finger (or the mouse): tap, doubletap, swipeleft,
+// swiperight, swipeup, swipedown and longpress. They are recognized by the
+// elements they are bound to, and fired with the position where they ended
 (function() {
-	
+
+	var event = jQuery.event,
+		pointer = !!window.PointerEvent,
+		// The browser cancels touch pointers as soon as it pans, touches are
+		// tracked with touch events wherever there are some
+		touch = "ontouchstart" in document.documentElement,
+		startTypes = pointer ?
+			"pointerdown.gesture" + ( touch ? " touchstart.gesture" : "" ) :
+			"touchstart.gesture mousedown.gesture",
+		trackTypes = "pointermove pointerup pointercancel touchmove touchend touchcancel mousemove mouseup".replace( /(\w+)/g, "$1.gestureTrack" ),
+		rcancel = /cancel$/,
+		// Browsers fire mouse events after the touch ones, they are ignored for a while
+		lastTouch = 0;
+
+	// Distances in pixels, durations in milliseconds
+	event.gestures = {
+		// Fingers moving further than that don't tap
+		tapDistance: 10,
+		// Longest time between the two taps of a doubletap
+		doubletapDelay: 300,
+		// Fingers held that long make a longpress rather than a tap
+		longpressDuration: 750,
+		// Shortest distance and longest duration of a swipe
+		swipeDistance: 30,
+		swipeDuration: 1000
+	};
+
+	jQuery.each( "tap doubletap swipeleft swiperight swipeup swipedown longpress".split(" "), function( i, type ) {
+		event.special[ type ] = {
+			// Elements track the gestures as long as one of them is bound
+			setup: function() {
+				var count = jQuery.data( this, "gestures" ) || 0;
+
+				if ( !count ) {
+					event.add( this, startTypes, gestureStart );
+				}
+
+				jQuery.data( this, "gestures", count + 1 );
+			},
+
+			teardown: function() {
+				var count = jQuery.data( this, "gestures" ) - 1;
+
+				if ( count > 0 ) {
+					jQuery.data( this, "gestures", count );
+
+				} else {
+					jQuery.removeData( this, "gestures" );
+					jQuery.removeData( this, "lastTap" );
+					event.remove( this, startTypes );
+					event.remove( this, trackTypes );
+				}
+			}
+		};
+	});
+
+	function gestureStart( e ) {
+		var elem = this, settings = event.gestures, start, timer, moved, pressed;
+
+		if ( e.type === "touchstart" ) {
+			lastTouch = now();
+
+			// Gestures are made with one finger
+			if ( e.touches && e.touches.length > 1 ) {
+				return;
+			}
+
+		} else if ( e.which > 1 || e.isPrimary === false || touch && e.pointerType === "touch" ||
+				now() - lastTouch < 1000 ) {
+			return;
+		}
+
+		start = { x: e.pageX, y: e.pageY, time: now(), target: e.target };
+
+		function stop() {
+			clearTimeout( timer );
+			event.remove( elem, trackTypes );
+		}
+
+		stop();
+
+		if ( ( jQuery.data( elem, "events" ) || {} ).longpress ) {
+			timer = setTimeout(function() {
+				pressed = true;
+				gestureTrigger( elem, "longpress", start, e );
+			}, settings.longpressDuration );
+		}
+
+		event.add( elem, ( e.type === "touchstart" ? "touchmove touchend touchcancel" :
+			e.type === "mousedown" ? "mousemove mouseup" :
+			"pointermove pointerup pointercancel" ).replace( /(\w+)/g, "$1.gestureTrack" ), function( e ) {
+
+			var dx = e.pageX - start.x,
+				dy = e.pageY - start.y,
+				distance = Math.max( Math.abs( dx ), Math.abs( dy ) ),
+				duration = now() - start.time,
+				last;
+
+			// Moves only tell if the finger went too far to tap
+			if ( /move$/.test( e.type ) ) {
+				if ( distance > settings.tapDistance ) {
+					moved = true;
+					clearTimeout( timer );
+				}
+				return;
+			}
+
+			stop();
+
+			if ( pressed || rcancel.test( e.type ) ) {
+				return;
+			}
+
+			if ( !moved && distance <= settings.tapDistance ) {
+				if ( duration < settings.longpressDuration ) {
+					gestureTrigger( elem, "tap", start, e );
+
+					// The second tap of a doubletap is also a tap
+					last = jQuery.data( elem, "lastTap" );
+
+					if ( last && start.time - last.time <= settings.doubletapDelay &&
+							Math.abs( start.x - last.x ) <= settings.tapDistance &&
+							Math.abs( start.y - last.y ) <= settings.tapDistance ) {
+						jQuery.removeData( elem, "lastTap" );
+						gestureTrigger( elem, "doubletap", start, e );
+
+					} else {
+						jQuery.data( elem, "lastTap", { time: now(), x: start.x, y: start.y } );
+					}
+				}
+
+			} else if ( distance >= settings.swipeDistance && duration <= settings.swipeDuration ) {
+				gestureTrigger( elem, Math.abs( dx ) >= Math.abs( dy ) ?
+					( dx < 0 ? "swipeleft" : "swiperight" ) :
+					( dy < 0 ? "swipeup" : "swipedown" ), start, e );
+			}
+		});
+	}
+
+	// Call the handlers of the gesture bound to elem (live handlers included),
+	// the target is the element where the gesture started
+	function gestureTrigger( elem, type, start, e ) {
+		var gesture = jQuery.Event( type );
+
+		gesture.target = start.target;
+		gesture.originalEvent = e.originalEvent;
+		gesture.startX = start.x;
+		gesture.startY = start.y;
+		gesture.pageX = e.pageX;
+		gesture.pageY = e.pageY;
+		gesture.duration = now() - start.time;
+
+		return event.handle.call( elem, gesture );
+	}
+
+})();
+
+// Where they don't bubble, delegated submit and reset events are made from
+// the clicks and keys leading to them, change and select ones from the events
+// of the fields. Change also fires for a value set by a script once the field
+// loses the focus
+(function() {
+
 	var event = jQuery.event,
 		special = event.special,
-		handle  = event.handle;
+		handle = event.handle,
+		rformElems = /^(?:textarea|input|select)$/i,
+		rtextElems = /^(?:textarea|text|password)$/i,
+		// Enter in the other inputs submits their form
+		rnoSubmitElems = /^(?:button|checkbox|file|hidden|image|radio|reset|submit)$/i;
+
+	// Hand a native event to the handlers of another type bound to elem
+	function liveShim( type, elem, args ) {
+		var e = args[0], orig = e.type, ret;
+
+		e.type = type;
+		ret = handle.apply( elem, args );
+		e.type = orig;
+
+		return ret;
+	}
+
+	// The button (or input) a click on target is a click on, if it has one of the types
+	function clickedButton( target, rtype ) {
+		var elem = jQuery( target ).closest("button, input")[0];
+
+		return elem && rtype.test( elem.type ) && jQuery( elem ).closest("form").length ? elem : null;
+	}
 
 	special.submit = {
-		setup: function(data, namespaces) {
-			if(data.selector) {
-				event.add(this, 'click.specialSubmit', function(e, eventData) {
-					if(jQuery(e.target).filter(":submit, :image").closest(data.selector).length) {
-						e.type = "submit";
-						return handle.call( this, e, eventData );
+		setup: function( data ) {
+			if ( !jQuery.support.submitBubbles && data && data.selector ) {
+				event.add( this, "click.specialSubmit", function( e ) {
+					if ( clickedButton( e.target, /^(?:submit|image)$/ ) ) {
+						return liveShim( "submit", this, arguments );
 					}
 				});
-				
-				event.add(this, 'keypress.specialSubmit', function( e, eventData ) {
-					if(jQuery(e.target).filter(":text, :password").closest(data.selector).length) {
-						e.type = "submit";
-						return handle.call( this, e, eventData );
+
+				event.add( this, "keypress.specialSubmit", function( e ) {
+					var elem = e.target;
+
+					if ( e.keyCode === 13 && elem.nodeName.toLowerCase() === "input" &&
+							!rnoSubmitElems.test( elem.type ) && jQuery( elem ).closest("form").length ) {
+						return liveShim( "submit", this, arguments );
 					}
 				});
-			} else {
+			}
+
+			// Native submit events are handled too, where they bubble
+			// and for the handlers bound to the form itself
+			return false;
+		},
+
+		teardown: function() {
+			event.remove( this, "click.specialSubmit" );
+			event.remove( this, "keypress.specialSubmit" );
+			return false;
+		}
+	};
+
+	special.reset = {
+		setup: function( data ) {
+			if ( !jQuery.support.resetBubbles && data && data.selector ) {
+				event.add( this, "click.specialReset", function( e ) {
+					if ( clickedButton( e.target, /^reset$/ ) ) {
+						return liveShim( "reset", this, arguments );
+					}
+				});
+			}
+
+			return false;
+		},
+
+		teardown: function() {
+			event.remove( this, "click.specialReset" );
+			return false;
+		}
+	};
+
+	// The value of a field as far as change is concerned
+	function changeValue( elem ) {
+		var type = elem.type;
+
+		return type === "checkbox" || type === "radio" ?
+			elem.checked :
+			type === "select-multiple" ?
+				jQuery.map( elem.options, function( option ) {
+					return option.selected ? option.index : null;
+				}).join("-") :
+				type === "select-one" ?
+					elem.selectedIndex :
+					elem.value;
+	}
+
+	function changeStore( e ) {
+		var elem = e.target;
+
+		if ( elem && rformElems.test( elem.nodeName ) ) {
+			jQuery.data( elem, "_change_data", changeValue( elem ) );
+		}
+	}
+
+	// Fire change if the value isn't the one the field had when it was
+	// focused (or when change was last fired)
+	function changeTest( e ) {
+		var elem = e.target, old, val;
+
+		if ( !rformElems.test( elem.nodeName ) || elem.readOnly ) {
+			return;
+		}
+
+		old = jQuery.data( elem, "_change_data" );
+		val = changeValue( elem );
+		jQuery.data( elem, "_change_data", val );
+
+		if ( old !== undefined && val !== old ) {
+			return liveShim( "change", this, arguments );
+		}
+	}
+
+	special.change = {
+		// The helpers come with the first delegated handler, even when
+		// the element already had change handlers of its own
+		add: function( handler, data ) {
+			if ( !data || !data.selector || jQuery.data( this, "_change_shim" ) ) {
+				return;
+			}
+
+			jQuery.data( this, "_change_shim", true );
+
+			// Fields changed by a script fire change once they lose the focus
+			event.add( this, "focus.specialChange", changeStore );
+			event.add( this, "blur.specialChange", changeTest );
+
+			// The native event bubbles, remember the values it was fired for
+			if ( jQuery.support.changeBubbles ) {
+				if ( this.addEventListener ) {
+					this.addEventListener( "change", changeStore, true );
+				}
+				return;
+			}
+
+			// Otherwise check the fields as soon as they can have changed
+			event.add( this, "beforeactivate.specialChange", changeStore );
+			event.add( this, "click.specialChange", changeTest );
+			event.add( this, "keydown.specialChange", function( e ) {
+				var elem = e.target, type = elem.type;
+
+				if ( (e.keyCode === 13 && elem.nodeName.toLowerCase() !== "textarea") ||
+						(e.keyCode === 32 && (type === "checkbox" || type === "radio")) ||
+						type === "select-multiple" ) {
+					return changeTest.apply( this, arguments );
+				}
+			});
+		},
+
+		teardown: function() {
+			var elem = this;
+
+			jQuery.removeData( this, "_change_shim" );
+			jQuery.each( [ "focus", "blur", "beforeactivate", "click", "keydown" ], function( i, type ) {
+				event.remove( elem, type + ".specialChange" );
+			});
+			if ( this.removeEventListener ) {
+				this.removeEventListener( "change", changeStore, true );
+			}
+			return false;
+		}
+	};
+
+	// Text fields fire select on themselves, forward it once they're focused
+	special.select = {
+		setup: function( data ) {
+			if ( jQuery.support.selectBubbles || !data || !data.selector ) {
 				return false;
 			}
+
+			var context = this,
+				forward = function() {
+					return liveShim( "select", context, arguments );
+				};
+
+			jQuery.data( this, "_select_shim", forward );
+
+			event.add( this, "focus.specialSelect", function( e ) {
+				if ( rtextElems.test( e.target.type ) ) {
+					event.add( e.target, "select.specialSelect", forward );
+				}
+			});
 		},
-		
-		remove: function(namespaces) {
-			event.remove(this, 'click.specialSubmit');
-			event.remove(this, 'keypress.specialSubmit');
+
+		// The fields forwarding to this element stop doing so
+		teardown: function() {
+			var forward = jQuery.data( this, "_select_shim" );
+
+			if ( forward ) {
+				jQuery( "input, textarea", this ).each(function() {
+					event.remove( this, "select.specialSelect", forward );
+				});
+				jQuery.removeData( this, "_select_shim" );
+			}
+
+			event.remove( this, "focus.specialSelect" );
+			return false;
 		}
 	};
-	
+
 })();
 
 // Create "bubbling" focus and blur events
@@ -726,24 +1264,43 @@ jQuery.fn.extend({
 			fn = data;
 			data = undefined;
 		}
-		jQuery( this.context ).bind( liveConvert( type, this.selector ), {
-			data: data, selector: this.selector, live: type
-		}, fn, thisObject );
+		liveBind( jQuery( this.context ), this.selector, type, data, fn, thisObject );
 		return this;
 	},
 
 	die: function( type, fn ) {
-		jQuery( this.context ).unbind( liveConvert( type, this.selector ), fn ? { guid: fn.guid + this.selector + type } : null );
+		liveUnbind( jQuery( this.context ), this.selector, type, fn );
+		return this;
+	},
+
+	// Like live, for the elements matching selector within these ones
+	delegate: function( selector, types, data, fn ) {
+		if ( jQuery.isFunction( data ) ) {
+			fn = data;
+			data = undefined;
+		}
+		liveBind( this, selector, types, data, fn );
+		return this;
+	},
+
+	// Remove the handlers delegated for selector (all of them if no selector
+	// is given), of the given types or of all types
+	undelegate: function( selector, types, fn ) {
+		if ( selector === undefined ) {
+			return this.unbind( "live" );
+		}
+		liveUnbind( this, selector, types, fn );
 		return this;
 	}
 });
 
 function liveHandler( event ) {
-	var stop = true, elems = [], args = arguments;
+	var stop = true, elems = [], args = arguments, context = this;
 
 	jQuery.each( jQuery.data( this, "events" ).live || [], function( i, fn ) {
 		if ( fn.live === event.type ) {
-			var elem = jQuery( event.target ).closest( fn.selector )[0];
+			// Only the elements within the one the handler is bound to match
+			var elem = jQuery( event.target ).closest( fn.selector, context )[0];
 			if ( elem ) {
 				elems.push({ elem: elem, fn: fn });
 			}
@@ -765,8 +1322,109 @@ function liveHandler( event ) {
 	return stop;
 }
 
+// Delegated handlers are bound to the "live" event of the elements, namespaced
+// by the type (its namespaces included) and the selector
+function liveBind( elems, selector, types, data, fn, thisObject ) {
+	jQuery.each( types.split( /\s+/ ), function( i, type ) {
+		elems.bind( liveConvert( type, selector ), {
+			data: data, selector: selector, live: type.split(".")[0]
+		}, fn, thisObject );
+	});
+}
+
+// Only the handlers delegated for that exact selector are removed
+function liveUnbind( elems, selector, types, fn ) {
+	if ( !types ) {
+		elems.unbind( "live." + liveSelector( selector ) );
+		return;
+	}
+
+	jQuery.each( types.split( /\s+/ ), function( i, type ) {
+		elems.unbind( liveConvert( type, selector ), fn ? { guid: fn.guid + selector + type.split(".")[0] } : null );
+	});
+}
+
 function liveConvert( type, selector ) {
-	return ["live", type, selector.replace(/\./g, "`").replace(/ /g, "|")].join(".");
+	return ["live"].concat( jQuery.map( type.split("."), liveNamespace ), liveSelector( selector ) ).join(".");
+}
+
+// The namespace of the selector starts and ends with two backticks, which the
+// escaped type and namespaces never do, so that they can't be mistaken
+// (and so that a selector can't match the start of a longer one)
+function liveSelector( selector ) {
+	return "``" + liveNamespace( selector ) + "``";
+}
+
+// The characters that aren't letters or digits are replaced so that
+// names can't be split or mistaken for a regexp when unbinding
+function liveNamespace( name ) {
+	return name.replace(/[^\w-]/g, function( c ) {
+		return "`" + c.charCodeAt( 0 ) + "`";
+	});
+}
+
+jQuery.extend({
+	// Call fn at most once every delay milliseconds, right away (leading) and
+	// with the arguments of the last call made in the meantime (trailing)
+	throttle: function( delay, fn, options ) {
+		return rated( fn, delay, false, jQuery.extend( { leading: true, trailing: true }, options ) );
+	},
+
+	// Call fn once the calls stopped for delay milliseconds (trailing),
+	// or on the first of them (leading)
+	debounce: function( delay, fn, options ) {
+		return rated( fn, delay, true, jQuery.extend( { leading: false, trailing: true }, options ) );
+	}
+});
+
+// The returned function shares the guid of fn, so that it can be unbound with fn
+function rated( fn, delay, debounce, options ) {
+	var timer, context, args, dispatched;
+
+	function later() {
+		timer = undefined;
+
+		if ( args ) {
+			// The event went to other handlers since, it gets back
+			// the data and currentTarget it had for this one
+			if ( dispatched ) {
+				jQuery.extend( args[ 0 ], dispatched );
+			}
+
+			fn.apply( context, args );
+			context = args = dispatched = undefined;
+
+			// Throttled calls are kept apart from the trailing one too
+			if ( !debounce ) {
+				timer = setTimeout( later, delay );
+			}
+		}
+	}
+
+	return jQuery.event.proxy( fn, function() {
+		var ret;
+
+		if ( !timer && options.leading ) {
+			ret = fn.apply( this, arguments );
+
+		} else if ( options.trailing ) {
+			context = this;
+			args = arguments;
+			dispatched = args[ 0 ] instanceof jQuery.Event ?
+				{ data: args[ 0 ].data, currentTarget: args[ 0 ].currentTarget } :
+				undefined;
+		}
+
+		if ( debounce ) {
+			clearTimeout( timer );
+			timer = setTimeout( later, delay );
+
+		} else if ( !timer ) {
+			timer = setTimeout( later, delay );
+		}
+
+		return ret;
+	});
 }
 
 jQuery.extend({
@@ -91,6 +91,27 @@
 		div = null;
 	});
 
+	// Check if the submit, reset, change and select events bubble
+	// (IE only fires them on the form or the field itself)
+	var eventSupported = function( eventName ) {
+		var el = document.createElement("div");
+		eventName = "on" + eventName;
+
+		var isSupported = (eventName in el);
+		if ( !isSupported ) {
+			el.setAttribute(eventName, "return;");
+			isSupported = typeof el[eventName] === "function";
+		}
+		el = null;
+
+		return isSupported;
+	};
+
+	jQuery.support.submitBubbles = eventSupported("submit");
+	jQuery.support.resetBubbles = eventSupported("reset");
+	jQuery.support.changeBubbles = eventSupported("change");
+	jQuery.support.selectBubbles = eventSupported("select");
+
 	// release memory in IE
 	root = script = div = all = a = null;
 })();
@@ -0,0 +1,4 @@
+<?php
+$headers = apache_request_headers();
+echo $_SERVER['REQUEST_METHOD'] . ' ' . $headers['Content-Type'] . ' ' . file_get_contents('php://input');
+?>
@@ -0,0 +1,5 @@
+<?php
+// The response is wrapped in a textarea so that the browser leaves it untouched
+$result = array( 'method' => $_SERVER['REQUEST_METHOD'], 'post' => $_POST, 'files' => array_keys( $_FILES ) );
+echo '<textarea>' . htmlspecialchars( json_encode( $result ) ) . '</textarea>';
+?>
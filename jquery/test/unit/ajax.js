@@ -5,7 +5,174 @@ module("ajax");
 // tests and they'll pass
 //if ( !jQuery.browser.safari ) {
 
-if ( !isLocal ) {
+// Without a server (isLocal), the php fixtures of test/data are served
+// by mocks while the static files are still loaded from the file system
+if ( isLocal ) (function() {
+
+	function params( s ) {
+		var ret = {}, query = s.url.replace( /^[^?]*\??/, "" ) + "&" + ( s.hasContent && s.data || "" );
+
+		jQuery.each( query.split("&"), function( i, pair ) {
+			pair = pair.split("=");
+			if ( pair[0] ) {
+				ret[ decodeURIComponent( pair[0] ) ] = decodeURIComponent( (pair[1] || "").replace( /\+/g, " " ) );
+			}
+		});
+
+		return ret;
+	}
+
+	jQuery.ajaxMock({
+		url: "data/echoData.php",
+		response: function( s, headers ) {
+			return s.type + " " + ( headers[ "Content-Type" ] || "" ) + " " + ( s.hasContent && s.data || "" );
+		}
+	});
+
+	jQuery.ajaxMock({
+		url: "data/echoQuery.php",
+		response: function( s ) {
+			return s.url.replace( /^[^?]*\??/, "" );
+		}
+	});
+
+	jQuery.ajaxMock({
+		url: "data/json.php",
+		response: function( s ) {
+			return params( s ).json ?
+				'[ {"name": "John", "age": 21}, {"name": "Peter", "age": 25 } ]' :
+				'{ "data": {"lang": "en", "length": 25} }';
+		}
+	});
+
+	jQuery.ajaxMock({
+		url: "data/jsonp.php",
+		response: function( s ) {
+			var data = params( s );
+			return data.callback + ( data.json ?
+				'([ {"name": "John", "age": 21}, {"name": "Peter", "age": 25 } ])' :
+				'({ "data": {"lang": "en", "length": 25} })' );
+		}
+	});
+
+	jQuery.ajaxMock({
+		url: "data/name.php",
+		response: function( s, headers ) {
+			var data = params( s ),
+				response = { responseTime: ( data.wait || 0 ) * 1000 };
+
+			if ( data.xml ) {
+				response.contentType = "text/xml";
+				response.responseText = "<math><calculation>" + data.xml + "</calculation><result>" +
+					( data.xml === "5-2" ? "3" : "?" ) + "</result></math>";
+			} else if ( data.name === "foo" ) {
+				response.responseText = "bar";
+			} else if ( data.name === "peter" ) {
+				response.responseText = "pan";
+			} else if ( headers[ "X-Custom-Header" ] ) {
+				response.responseText = headers[ "X-Custom-Header" ];
+			} else {
+				response.responseText = 'ERROR <script type="text/javascript">ok( true, "name.php executed" );</script>';
+			}
+
+			return response;
+		}
+	});
+
+	jQuery.ajaxMock({
+		url: "data/params_html.php",
+		response: function( s ) {
+			var html = '<div id="post">\n';
+
+			if ( s.type === "POST" ) {
+				jQuery.each( params({ url: "", hasContent: true, data: s.data }), function( key, value ) {
+					html += "<b id='" + key + "'>" + value + "</b>";
+				});
+			}
+
+			html += ' \n</div>\n<div id="get">\n';
+
+			jQuery.each( params({ url: s.url }), function( key, value ) {
+				html += "<b id='" + key + "'>" + value + "</b>";
+			});
+
+			return html + " \n</div>";
+		}
+	});
+
+	jQuery.ajaxMock({
+		url: "data/text.php",
+		responseText: "Lorem ipsum dolor sit amet\nconsectetuer adipiscing elit\nSed lorem leo\n"
+	});
+
+	jQuery.ajaxMock({
+		url: "data/test.php",
+		response: function() {
+			return 'html text<br/>\n<script type="text/javascript">/* <![CDATA[ */\n' +
+				'testFoo = "foo"; jQuery(\'#foo\').html(\'foo\');\nok( true, "test.php executed" );\n/* ]]> */</script>\n' +
+				'<script src="data/test.js?' + (new Date).getTime() + '"></script>\nblabla';
+		}
+	});
+
+	// Conditional requests, the validators are derived from the ts parameter
+	jQuery.each( {
+		"data/etag.php": [ "If-None-Match", "Etag" ],
+		"data/if_modified_since.php": [ "If-Modified-Since", "Last-Modified" ]
+	}, function( fixture, names ) {
+		jQuery.ajaxMock({
+			url: fixture,
+			response: function( s, headers ) {
+				var validator = params( s ).ts,
+					response = { headers: {} };
+
+				if ( headers[ names[0] ] === validator ) {
+					response.status = 304;
+					response.statusText = "Not Modified";
+				} else {
+					response.headers[ names[1] ] = validator;
+					response.responseText = headers[ names[0] ] ? "OK: " + validator : "FAIL";
+				}
+
+				return response;
+			}
+		});
+	});
+})();
+
+// A native request object answering with the status and text given,
+// a status of 0 without text is what browsers give when the network fails
+function fakeXHR( status, text ) {
+	var xhr = {
+		readyState: 0,
+		status: 0,
+		statusText: "",
+		responseText: "",
+		responseXML: null,
+		open: function() {
+			xhr.readyState = 1;
+		},
+		setRequestHeader: function() {},
+		getAllResponseHeaders: function() {
+			return "";
+		},
+		getResponseHeader: function() {
+			return null;
+		},
+		abort: function() {},
+		send: function() {
+			setTimeout(function() {
+				xhr.readyState = 4;
+				xhr.status = status;
+				xhr.statusText = status ? "OK" : "";
+				xhr.responseText = text || "";
+				xhr.onreadystatechange();
+			}, 1);
+		}
+	};
+
+	return xhr;
+}
+
 
 test("jQuery.ajax() - success callbacks", function() {
 	expect( 8 );
@@ -175,7 +342,7 @@ test("jQuery.ajax - beforeSend", function() {
 });
 
 test("jQuery.ajax - beforeSend, cancel request (#2688)", function() {
-	expect(2);
+	expect(4);
 	var request = jQuery.ajax({
 		url: url("data/name.html"),
 		beforeSend: function() {
@@ -192,7 +359,121 @@ test("jQuery.ajax - beforeSend, cancel request (#2688)", function() {
 			ok( false, "request didn't get canceled" );
 		}
 	});
-	ok( request === false, "canceled request must return false instead of XMLHttpRequest instance" );
+	ok( request && jQuery.isFunction( request.done ), "canceled request returns the request object" );
+	ok( request.isRejected(), "canceled request is rejected" );
+	request.fail(function( xhr, status ) {
+		equals( status, "abort", "canceled request is aborted" );
+	});
+});
+
+test("jQuery.ajax() - returns a promise of the request", function() {
+	expect(9);
+	stop();
+
+	var context = {},
+		request = jQuery.ajax({
+			url: url("data/name.html"),
+			context: context
+		});
+
+	ok( jQuery.isFunction( request.done ) && jQuery.isFunction( request.fail ) &&
+		jQuery.isFunction( request.always ) && jQuery.isFunction( request.then ), "Request has the promise methods" );
+	ok( !request.resolve && !request.reject, "Request state can't be changed from the outside" );
+
+	request.done(function( data, status, xhr ) {
+		ok( /^ERROR/.test( data ), "Response passed to done callbacks" );
+		equals( status, "success", "Status passed to done callbacks" );
+		equals( xhr, request, "Request passed to done callbacks" );
+		equals( this, context, "Context is preserved on done callbacks" );
+	}).fail(function() {
+		ok( false, "fail callbacks" );
+	}).always(function() {
+		equals( request.readyState, 4, "Request is done" );
+		equals( request.status, 200, "Status code is copied to the request" );
+
+		// Handlers added after the request ended fire right away
+		request.done(function() {
+			ok( true, "late done callbacks" );
+			start();
+		});
+	});
+});
+
+test("jQuery.ajax() - promise of a failed request", function() {
+	expect(4);
+	stop();
+
+	jQuery.ajax({
+		url: url("data/name.php?wait=5"),
+		timeout: 100
+	}).done(function() {
+		ok( false, "done callbacks" );
+	}).fail(function( xhr, status ) {
+		equals( status, "timeout", "Status passed to fail callbacks" );
+	}).complete(function( xhr, status ) {
+		equals( status, "timeout", "Status passed to complete callbacks" );
+		ok( !this.isResolved && this === window, "complete callbacks use the callback context" );
+		ok( xhr.isRejected(), "Request is rejected" );
+		start();
+	});
+});
+
+test("jQuery.ajax() - abort", function() {
+	expect(4);
+	stop();
+
+	var request = jQuery.ajax({
+		url: url("data/name.php?wait=5"),
+		error: function( xhr, status ) {
+			equals( status, "abort", "Status passed to error callbacks" );
+		},
+		complete: function( xhr, status ) {
+			equals( status, "abort", "Status passed to complete callbacks" );
+			equals( xhr.readyState, 4, "Request is done" );
+		}
+	});
+
+	request.abort();
+	ok( request.isRejected(), "Aborted request is rejected" );
+	start();
+});
+
+test("jQuery.ajax() - JSONP returns a promise", function() {
+	expect(3);
+	stop();
+
+	var request = jQuery.ajax({
+		url: "data/jsonp.php",
+		dataType: "jsonp"
+	});
+
+	ok( jQuery.isFunction( request.done ), "JSONP request has the promise methods" );
+
+	request.done(function( data, status ) {
+		ok( data.data, "JSON results passed to done callbacks" );
+		equals( status, "success", "Status passed to done callbacks" );
+		start();
+	});
+});
+
+test("jQuery.when() - several requests", function() {
+	expect(4);
+	stop();
+
+	jQuery.when(
+		jQuery.get( url("data/name.html") ),
+		jQuery.getJSON( url("data/json.php") ),
+		"plain"
+	).done(function( html, json, plain ) {
+		ok( /^ERROR/.test( html[0] ), "First request's results" );
+		equals( json[0].data.lang, "en", "Second request's results" );
+		equals( json[1], "success", "Status of the second request" );
+		equals( plain, "plain", "Plain values are passed through" );
+		start();
+	}).fail(function() {
+		ok( false, "joined requests failed" );
+		start();
+	});
 });
 
 window.foobar = null;
@@ -619,6 +900,9 @@ test("jQuery.ajax() - JSONP, Local", function() {
 	});
 });
 
+// These tests need a server reachable by an absolute url
+if ( !isLocal ) {
+
 test("jQuery.ajax() - JSONP, Remote", function() {
 	expect(4);
 
@@ -742,6 +1026,8 @@ test("jQuery.ajax() - script, Remote with scheme-less URL", function() {
 	});
 });
 
+}
+
 test("jQuery.getJSON(String, Hash, Function) - JSON array", function() {
 	expect(5);
 	stop();
@@ -789,6 +1075,8 @@ test("jQuery.getJSON - Using Native JSON", function() {
 	});
 });
 
+if ( !isLocal ) {
+
 test("jQuery.getJSON(String, Function) - JSON object with absolute url to local content", function() {
 	expect(2);
 
@@ -802,6 +1090,8 @@ test("jQuery.getJSON(String, Function) - JSON object with absolute url to local
 	});
 });
 
+}
+
 test("jQuery.post(String, Hash, Function) - simple with xml", function() {
 	expect(4);
 	stop();
@@ -920,6 +1210,22 @@ test("ajaxSetup()", function() {
 	jQuery.ajax();
 });
 
+test("ajaxSetup() replaces settings and merges maps", function() {
+	expect(3);
+
+	var tmp = jQuery.extend( {}, jQuery.ajaxSettings );
+
+	jQuery.ajaxSetup({ data: { a: 1 }, accepts: { custom: "text/x-a" }, converters: { "text x-a": String } });
+	jQuery.ajaxSetup({ data: { b: 2 }, accepts: { custom: "text/x-b" }, converters: { "text x-b": String } });
+
+	same( jQuery.ajaxSettings.data, { b: 2 }, "data replaced" );
+	same( jQuery.ajaxSettings.accepts, { custom: "text/x-b" }, "accepts replaced" );
+	ok( jQuery.ajaxSettings.converters[ "text x-a" ] && jQuery.ajaxSettings.converters[ "text x-b" ] &&
+		jQuery.ajaxSettings.converters[ "text json" ], "converters merged" );
+
+	jQuery.ajaxSettings = tmp;
+});
+
 /*
 test("custom timeout does not set error message when timeout occurs, see #970", function() {
 	stop();
@@ -1013,6 +1319,2001 @@ test("jQuery.ajax - Etag support", function() {
 	});
 });
 
-}
+
+test("jQuery.ajaxTransport() - custom transport", function() {
+	expect(9);
+
+	var sent;
+
+	jQuery.ajaxTransport( "transporttest", function( s, origSettings, xhr ) {
+		ok( jQuery.isFunction( xhr.done ), "Transport factories get the request object" );
+
+		return {
+			send: function( headers, complete ) {
+				sent = true;
+				equals( headers.Accept, "*/*", "Headers are handed to the transport" );
+				equals( headers["X-Test"], "ok", "Headers set in beforeSend are handed to the transport" );
+				complete( 200, "OK", { text: "hello" }, "Content-Type: text/plain\r\n" );
+			},
+			abort: function() {
+				ok( false, "abort" );
+			}
+		};
+	});
+
+	var request = jQuery.ajax({
+		url: "data/name.html",
+		dataType: "transporttest",
+		async: false,
+		converters: {
+			"text transporttest": function( text ) {
+				return text + " world";
+			}
+		},
+		beforeSend: function( xhr ) {
+			xhr.setRequestHeader( "X-Test", "ok" );
+		},
+		success: function( data, status, xhr ) {
+			equals( data, "hello world", "The response went through the converter" );
+			equals( status, "success", "Status" );
+		}
+	});
+
+	ok( sent, "Custom transport was used" );
+	equals( request.responseText, "hello", "responseText is filled from the text response" );
+	equals( request.getResponseHeader( "content-type" ), "text/plain", "Response headers are parsed" );
+	ok( !jQuery.ajaxSettings.converters[ "text transporttest" ], "Local converters don't leak into ajaxSettings" );
+});
+
+test("jQuery.ajaxPrefilter() - prefilters and dataType redirection", function() {
+	expect(6);
+
+	jQuery.ajaxPrefilter( "prefiltertest", function( s, origSettings ) {
+		ok( true, "Prefilter called for its dataType" );
+		equals( origSettings.custom, "value", "Prefilters get the original settings" );
+		s.url = "changed";
+		return "prefilterredirect";
+	});
+
+	jQuery.ajaxPrefilter( "prefilterredirect", function( s ) {
+		ok( true, "Prefilter of the redirected dataType called" );
+	});
+
+	jQuery.ajaxTransport( "prefilterredirect", function( s ) {
+		equals( s.url, "changed", "Transport gets the altered settings" );
+		same( s.dataTypes, [ "prefilterredirect", "prefiltertest" ], "dataType list was updated" );
+
+		return {
+			send: function( headers, complete ) {
+				complete( 404, "Not Found" );
+			},
+			abort: function() {}
+		};
+	});
+
+	jQuery.ajax({
+		url: "data/name.html",
+		dataType: "prefiltertest",
+		custom: "value",
+		async: false,
+		error: function( xhr, status ) {
+			equals( status, "error", "Transport errors are reported" );
+		}
+	});
+});
+
+test("jQuery.ajax() - request that can't be sent", function() {
+	expect(2);
+
+	jQuery.ajax({
+		url: "data/name.html",
+		async: false,
+		xhr: function() {
+			throw "no native request";
+		},
+		error: function( xhr, status, e ) {
+			equals( status, "error", "Requests are rejected when they can't be sent" );
+			equals( e, "no native request", "Exception is passed along" );
+		}
+	});
+});
+
+test("jQuery.ajaxMock() - canned responses", function() {
+	expect(11);
+	stop();
+
+	var id = jQuery.ajaxMock({
+			url: "mock/resource",
+			type: "GET",
+			contentType: "application/json",
+			headers: { "X-Mock": "yes" },
+			responseText: '{ "mocked": true }'
+		}),
+		other = jQuery.ajaxMock({
+			url: /mock\/status/,
+			response: function( s, headers ) {
+				equals( headers[ "X-Requested-With" ], "XMLHttpRequest", "Request headers are given to the response function" );
+				return { status: 404, statusText: "Not Found", responseText: "gone" };
+			}
+		}),
+		sync = jQuery.ajax({
+			url: "mock/resource?a=1",
+			async: false,
+			dataType: "json"
+		});
+
+	equals( sync.responseText, '{ "mocked": true }', "Synchronous requests are answered right away" );
+	equals( sync.getResponseHeader( "X-Mock" ), "yes", "Mocked headers" );
+
+	jQuery.ajax({
+		url: "mock/resource",
+		type: "POST",
+		async: false,
+		error: function( xhr ) {
+			ok( true, "Mocks only match their type" );
+		}
+	});
+
+	jQuery("#foo").ajaxStart(function(){
+		ok( true, "ajaxStart" );
+	}).ajaxStop(function(){
+		ok( true, "ajaxStop" );
+
+		jQuery("#foo").unbind("ajaxStart ajaxStop");
+		jQuery.ajaxMockClear( id );
+		jQuery.ajaxMockClear( other );
+
+		jQuery.ajax({
+			url: "mock/resource",
+			async: false,
+			error: function() {
+				ok( true, "Cleared mocks aren't used anymore" );
+			}
+		});
+
+		start();
+	});
+
+	jQuery.getJSON( "http://example.com/mock/resource", function( data, status, xhr ) {
+		ok( data.mocked, "Response converted according to the mocked content-type" );
+		equals( xhr.status, 200, "Default status" );
+	});
+
+	jQuery.ajax({
+		url: "mock/status",
+		error: function( xhr, status ) {
+			equals( status, "error", "Mocked errors" );
+			equals( xhr.status, 404, "Mocked status" );
+		}
+	});
+});
+
+test("jQuery.ajaxMock() - latency, timeout and ifModified", function() {
+	expect(5);
+	stop();
+
+	var id = jQuery.ajaxMock({
+		url: "mock/slow",
+		responseTime: 500,
+		responseText: "slow"
+	}),
+	etag = jQuery.ajaxMock({
+		url: "mock/etag",
+		response: function( s, headers ) {
+			return headers[ "If-None-Match" ] === "v1" ?
+				{ status: 304 } :
+				{ headers: { Etag: "v1" }, responseText: "body" };
+		}
+	});
+
+	jQuery.ajax({
+		url: "mock/slow",
+		timeout: 50,
+		error: function( xhr, status ) {
+			equals( status, "timeout", "The timeout timer applies to mocks" );
+		}
+	});
+
+	jQuery.ajax({
+		url: "mock/etag",
+		ifModified: true,
+		success: function( data, status ) {
+			equals( status, "success", "First request" );
+			equals( data, "body", "First request's body" );
+
+			jQuery.ajax({
+				url: "mock/etag",
+				ifModified: true,
+				success: function( data, status ) {
+					equals( status, "notmodified", "Second request is not modified" );
+					ok( data == null, "response body should be empty" );
+
+					jQuery.ajaxMockClear( id );
+					jQuery.ajaxMockClear( etag );
+					setTimeout( start, 600 );
+				}
+			});
+		}
+	});
+});
+
+test("jQuery.ajax() - statusCode callbacks", function() {
+	expect(7);
+	stop();
+
+	var id = jQuery.ajaxMock({
+		url: /mock\/code/,
+		response: function( s ) {
+			var status = +s.url.replace( /.*code=/, "" );
+			return { status: status, responseText: "code " + status };
+		}
+	});
+
+	jQuery.ajaxSetup({
+		statusCode: {
+			401: function() {
+				ok( true, "Global statusCode callback" );
+			},
+			404: function() {
+				ok( false, "Global statusCode callback overridden by the request" );
+			}
+		}
+	});
+
+	jQuery.ajax({
+		url: "mock/code",
+		data: { code: 401 },
+		async: false
+	});
+
+	jQuery.ajax({
+		url: "mock/code",
+		data: { code: 404 },
+		async: false,
+		statusCode: {
+			404: function( xhr, status ) {
+				equals( this, window, "Context" );
+				equals( status, "error", "Error arguments for error codes" );
+			}
+		}
+	});
+
+	delete jQuery.ajaxSettings.statusCode[ 401 ];
+	delete jQuery.ajaxSettings.statusCode[ 404 ];
+
+	jQuery.ajax({
+		url: "mock/code",
+		data: { code: 201 },
+		statusCode: {
+			200: function() {
+				ok( false, "Only the callbacks for the status are fired" );
+			},
+			201: function( data, status ) {
+				equals( data, "code 201", "Success arguments for success codes" );
+			}
+		}
+	}).statusCode({
+		201: function() {
+			ok( true, "Callbacks added with jXHR.statusCode()" );
+		}
+	}).complete(function( xhr ) {
+		xhr.statusCode({
+			201: function() {
+				ok( true, "Callbacks added once done are fired right away" );
+			}
+		});
+
+		jQuery.ajaxMockClear( id );
+		ok( !jQuery.ajaxSettings.statusCode[ 201 ], "Request callbacks don't leak into the settings" );
+		start();
+	});
+});
+
+test("jQuery.ajax() - error object", function() {
+	expect(15);
+	stop();
+
+	var id = jQuery.ajaxMock({
+		url: "mock/invalid",
+		contentType: "application/json",
+		response: function( s ) {
+			return s.data === "bad=1" ?
+				{ status: 200, responseText: "{ invalid" } :
+				{ status: 422, statusText: "Unprocessable Entity", responseText: '{ "errors": [ "name" ] }' };
+		}
+	}),
+	slow = jQuery.ajaxMock({
+		url: "mock/slow",
+		responseTime: 500
+	}),
+	offline = jQuery.ajaxMock({
+		url: "mock/offline",
+		response: function() {
+			throw "Offline";
+		}
+	}),
+	settings;
+
+	jQuery("#foo").bind("ajaxError", function( e, xhr, s, exception, error ) {
+		if ( error.reason === "http" ) {
+			equals( error.data.errors[0], "name", "ajaxError is given the error object" );
+		}
+	});
+
+	settings = {
+		url: "mock/invalid",
+		type: "POST",
+		dataType: "json",
+		async: false,
+		error: function( xhr, status, exception, error ) {
+			equals( error.reason, "http", "HTTP error" );
+			equals( error.status, 422, "Status" );
+			equals( error.statusText, "Unprocessable Entity", "Status text" );
+			equals( error.data.errors[0], "name", "Parsed response body" );
+			equals( error.settings.url, "mock/invalid", "Settings" );
+		}
+	};
+	jQuery.ajax( settings );
+
+	jQuery.ajax({
+		url: "mock/invalid",
+		type: "POST",
+		data: { bad: 1 },
+		dataType: "json",
+		async: false,
+		error: function( xhr, status, exception, error ) {
+			equals( error.reason, "parsererror", "Parse error" );
+			equals( error.status, 200, "Status" );
+			ok( error.exception, "Exception" );
+			ok( error.data === undefined, "No parsed body" );
+		}
+	});
+
+	jQuery("#foo").unbind("ajaxError");
+
+	jQuery.ajax({
+		url: "mock/slow",
+		timeout: 50,
+		error: function( xhr, status, exception, error ) {
+			equals( error.reason, "timeout", "Timeout" );
+			equals( error.status, 0, "No status" );
+
+			jQuery.ajaxMockClear( id );
+			jQuery.ajaxMockClear( slow );
+			jQuery.ajaxMockClear( offline );
+			start();
+		}
+	});
+
+	jQuery.ajax({
+		url: "mock/slow",
+		error: function( xhr, status, exception, error ) {
+			equals( error.reason, "abort", "Abort" );
+		}
+	}).abort();
+
+	jQuery.ajax({
+		url: "mock/offline",
+		async: false,
+		error: function( xhr, status, exception, error ) {
+			equals( error.reason, "error", "Request that couldn't be sent" );
+			equals( error.exception, "Offline", "Exception" );
+		}
+	});
+});
+
+test("jQuery.ajax() - retry", function() {
+	expect(10);
+	stop();
+
+	var calls = 0, sends = 0, stops = 0, timeouts = 0,
+		id = jQuery.ajaxMock({
+			url: "mock/flaky",
+			response: function() {
+				return ++calls < 3 ? { status: 503 } : "ok";
+			}
+		}),
+		slow = jQuery.ajaxMock({
+			url: "mock/slow",
+			responseTime: 200
+		});
+
+	jQuery("#foo").bind("ajaxSend", function() {
+		sends++;
+	}).bind("ajaxStop", function() {
+		stops++;
+	});
+
+	jQuery.ajax({
+		url: "mock/flaky",
+		retry: { delay: 10 },
+		beforeSend: function() {
+			ok( true, "beforeSend is called for each attempt" );
+		},
+		error: function() {
+			ok( false, "Failed attempts are not reported" );
+		},
+		success: function( data ) {
+			equals( data, "ok", "Success after two retries" );
+			equals( calls, 3, "Three attempts" );
+			equals( sends, 3, "ajaxSend is fired for each attempt" );
+			equals( stops, 0, "ajaxStop isn't fired before the last attempt ends" );
+
+			jQuery.ajax({
+				url: "mock/slow",
+				timeout: 20,
+				retry: { count: 1, delay: 10 },
+				beforeSend: function() {
+					timeouts++;
+				},
+				error: function( xhr, status ) {
+					equals( status, "timeout", "Timed out after retrying" );
+					equals( timeouts, 2, "Timeouts are retried" );
+				},
+				complete: function() {
+					setTimeout(function() {
+						equals( stops, 1, "ajaxStop is fired once all attempts are done" );
+
+						jQuery("#foo").unbind("ajaxSend ajaxStop");
+						jQuery.ajaxMockClear( id );
+						jQuery.ajaxMockClear( slow );
+						start();
+					}, 1);
+				}
+			});
+		}
+	});
+});
+
+test("jQuery.ajax() - retry options", function() {
+	expect(8);
+	stop();
+
+	var calls = 0,
+		id = jQuery.ajaxMock({
+			url: /mock\/failing/,
+			response: function( s ) {
+				calls++;
+				return { status: /404/.test( s.url ) ? 404 : 500 };
+			}
+		});
+
+	jQuery.ajax({
+		url: "mock/failing",
+		type: "POST",
+		async: false,
+		retry: true
+	});
+	equals( calls, 1, "POST requests are not retried by default" );
+
+	jQuery.ajax({
+		url: "mock/failing?404",
+		retry: { delay: 1 },
+		error: function( xhr ) {
+			equals( calls, 2, "Statuses not listed aren't retried" );
+			equals( xhr.status, 404, "Status" );
+
+			calls = 0;
+			jQuery.ajax({
+				url: "mock/failing",
+				type: "POST",
+				retry: { count: 2, delay: 1, types: [ "POST" ] },
+				error: function( xhr, status ) {
+					equals( calls, 3, "Retries can be enabled for other types" );
+					equals( status, "error", "Error once all retries failed" );
+					equals( xhr.status, 500, "Status of the last attempt" );
+
+					calls = 0;
+					var xhr = jQuery.ajax({
+						url: "mock/failing",
+						retry: { delay: 50 },
+						error: function( xhr, status ) {
+							equals( status, "abort", "Aborted while waiting to retry" );
+							equals( calls, 1, "No more attempts" );
+
+							jQuery.ajaxMockClear( id );
+							start();
+						}
+					});
+
+					setTimeout(function() {
+						xhr.abort();
+					}, 20);
+				}
+			});
+		}
+	});
+});
+
+test("jQuery.ajax() - retry of requests that couldn't reach the server", function() {
+	expect(4);
+	stop();
+
+	var attempts = 0;
+
+	jQuery.ajax({
+		url: "data/unreachable",
+		retry: { delay: 1 },
+		xhr: function() {
+			return attempts++ ? fakeXHR( 200, "ok" ) : fakeXHR( 0 );
+		},
+		success: function( data ) {
+			equals( data, "ok", "Success once the server answers" );
+			equals( attempts, 2, "Retried after a network error" );
+
+			jQuery.ajax({
+				url: "data/unreachable",
+				xhr: function() {
+					return fakeXHR( 0 );
+				},
+				success: function() {
+					ok( false, "Network errors aren't successes" );
+				},
+				error: function( xhr, status ) {
+					equals( status, "error", "Network errors are errors" );
+					equals( xhr.status, 0, "Status" );
+					start();
+				}
+			});
+		}
+	});
+});
+
+test("jQuery.ajax() - queue", function() {
+	expect(9);
+	stop();
+
+	var order = [], running = 0, max = 0,
+		id = jQuery.ajaxMock({
+			url: /mock\/queued/,
+			responseTime: 20,
+			response: function( s ) {
+				running++;
+				max = Math.max( max, running );
+				return s.url.replace( /.*\?/, "" );
+			}
+		});
+
+	function request( data, mode, done ) {
+		return jQuery.ajax({
+			url: "mock/queued",
+			data: data,
+			queue: "test",
+			queueMode: mode,
+			success: function( data ) {
+				running--;
+				order.push( data );
+			},
+			error: function( xhr, status ) {
+				order.push( status );
+			},
+			complete: done
+		});
+	}
+
+	jQuery("#foo").bind("ajaxStop", function() {
+		ok( true, "ajaxStop is fired once the queue is empty" );
+	});
+
+	request( "a" );
+	request( "b" );
+	request( "c", "serial", function() {
+		equals( order.join(","), "a,b,c", "Serial requests are sent one after the other" );
+		equals( max, 1, "One request at a time" );
+
+		order = [];
+		max = 0;
+		request( "a", 2 );
+		request( "b", 2 );
+		request( "c", 2, function() {
+			equals( order.join(","), "a,b,c", "Limited concurrency" );
+			equals( max, 2, "Two requests at a time" );
+
+			order = [];
+			request( "a", "abort" );
+			request( "b", "abort" );
+			ok( jQuery.active, "Aborted requests are still counted until done" );
+			request( "c", "abort", function() {
+				equals( order.join(","), "abort,abort,c", "Previous requests are aborted" );
+
+				setTimeout(function() {
+					equals( jQuery.active, 0, "No request left" );
+					jQuery("#foo").unbind("ajaxStop");
+					jQuery.ajaxMockClear( id );
+					start();
+				}, 1);
+			});
+		});
+	});
+
+	equals( jQuery.active, 3, "Queued requests are counted as active" );
+});
+
+test("jQuery.ajax() - queued requests failing right away", function() {
+	expect(3);
+	stop();
+
+	jQuery.ajax({
+		url: "data/failing",
+		queue: "failing",
+		xhr: function() {
+			throw "No request object";
+		},
+		error: function( xhr, status, error ) {
+			equals( error, "No request object", "Failed when sent" );
+		}
+	});
+
+	jQuery.ajax({
+		url: "data/queued",
+		queue: "failing",
+		xhr: function() {
+			return fakeXHR( 200, "ok" );
+		},
+		success: function( data ) {
+			equals( data, "ok", "The next request of the queue is sent" );
+
+			setTimeout(function() {
+				equals( jQuery.active, 0, "Global counter released" );
+				start();
+			}, 1);
+		}
+	});
+});
+
+test("jQuery.ajax() - dedupe", function() {
+	expect(7);
+	stop();
+
+	var calls = 0,
+		id = jQuery.ajaxMock({
+			url: "mock/shared",
+			responseTime: 20,
+			contentType: "application/json",
+			response: function() {
+				return '{ "calls": ' + ( ++calls ) + ' }';
+			}
+		}),
+		first = jQuery.ajax({ url: "mock/shared", dataType: "json", dedupe: true }),
+		second = jQuery.ajax({ url: "mock/shared", dataType: "json", dedupe: true }),
+		aborted = jQuery.ajax({ url: "mock/shared", dataType: "json", dedupe: true }).abort(),
+		other = jQuery.ajax({ url: "mock/shared", dataType: "text", dedupe: true });
+
+	jQuery.when( first, second, other ).then(function( a, b, c ) {
+		equals( calls, 2, "Identical requests share one response" );
+		equals( a[0].calls, 1, "First request" );
+		equals( b[0].calls, 1, "Second request got the same response" );
+		ok( a[0] !== b[0], "Each request converts the response" );
+		equals( c[0], '{ "calls": 2 }', "Different dataTypes aren't shared" );
+		ok( aborted.isRejected(), "A request sharing a response can still be aborted" );
+
+		jQuery.ajax({
+			url: "mock/shared",
+			dataType: "json",
+			dedupe: true,
+			success: function( data ) {
+				equals( data.calls, 3, "Requests made once the response arrived aren't shared" );
+
+				jQuery.ajaxMockClear( id );
+				start();
+			}
+		});
+	});
+});
+
+test("jQuery.ajax() - dedupe with retry", function() {
+	expect(5);
+	stop();
+
+	var calls = 0,
+		id = jQuery.ajaxMock({
+			url: "mock/retried",
+			responseTime: 20,
+			response: function() {
+				return ++calls > 1 ? "ok " + calls : { status: 503 };
+			}
+		}),
+		first = jQuery.ajax({ url: "mock/retried", dedupe: true, retry: { count: 2, delay: 10 } });
+
+	// Made while the first one waits to be retried
+	setTimeout(function() {
+		var second = jQuery.ajax({ url: "mock/retried", dedupe: true });
+
+		jQuery.when( first, second ).then(function( a, b ) {
+			equals( a[0], "ok 2", "Retried request succeeded" );
+			equals( b[0], "ok 2", "The request waiting for it got the same response" );
+			equals( calls, 2, "No other request sent" );
+			equals( first.readyState, 4, "Completed" );
+
+			setTimeout(function() {
+				equals( jQuery.active, 0, "Global counter released" );
+				jQuery.ajaxMockClear( id );
+				start();
+			}, 1);
+		});
+	}, 25);
+});
+
+test("jQuery.ajax() - dedupe, aborting the first request", function() {
+	expect(6);
+	stop();
+
+	var calls = 0,
+		id = jQuery.ajaxMock({
+			url: "mock/left",
+			responseTime: 20,
+			response: function() {
+				return "ok " + ( ++calls );
+			}
+		}),
+		first = jQuery.ajax({ url: "mock/left", dedupe: true }),
+		second = jQuery.ajax({ url: "mock/left", dedupe: true });
+
+	first.abort();
+
+	first.fail(function( jXHR, status ) {
+		equals( status, "abort", "Aborted request failed" );
+	});
+
+	second.then(function( data ) {
+		equals( data, "ok 1", "The request waiting for it still got the response" );
+
+		var third = jQuery.ajax({ url: "mock/left", dedupe: true }),
+			fourth = jQuery.ajax({ url: "mock/left", dedupe: true });
+
+		third.abort();
+		fourth.abort();
+
+		ok( third.isRejected() && fourth.isRejected(), "All aborted" );
+
+		jQuery.ajax({ url: "mock/left", dedupe: true }).then(function( data ) {
+			equals( data, "ok 3", "Not waiting for an abandoned request" );
+			equals( calls, 3, "Every request waited for was sent once" );
+
+			setTimeout(function() {
+				equals( jQuery.active, 0, "Global counter released" );
+				jQuery.ajaxMockClear( id );
+				start();
+			}, 1);
+		});
+	}, function() {
+		ok( false, "The request waiting for it failed" );
+		start();
+	});
+});
+
+test("jQuery.ajax() - request bodies", function() {
+	expect(6);
+	stop();
+
+	jQuery.ajax({
+		url: url("data/echoData.php"),
+		type: "DELETE",
+		data: { id: 5 },
+		success: function( data ) {
+			ok( /^DELETE application\/x-www-form-urlencoded\S* id=5$/.test( data ), "DELETE sends a body" );
+		}
+	});
+
+	jQuery.ajax({
+		url: url("data/echoData.php"),
+		type: "PATCH",
+		contentType: "application/json",
+		data: { name: "John", tags: [ "a", "b" ] },
+		success: function( data ) {
+			var body = jQuery.parseJSON( data.replace( /^\S+ \S+ /, "" ) );
+			ok( /^PATCH application\/json/.test( data ), "PATCH sends a body" );
+			equals( body.name, "John", "JSON-encoded body" );
+			equals( body.tags.join(","), "a,b", "JSON-encoded body" );
+		}
+	});
+
+	jQuery.ajax({
+		url: url("data/echoData.php"),
+		contentType: "application/json",
+		data: { name: "John" },
+		success: function( data ) {
+			equals( jQuery.trim( data ), "GET application/json", "GET still sends its data in the url" );
+		}
+	});
+
+	jQuery.ajax({
+		url: url("data/echoData.php"),
+		type: "PUT",
+		contentType: "application/json",
+		data: '{"raw":true}',
+		success: function( data ) {
+			ok( /\{"raw":true\}$/.test( data ), "Strings are sent as they are" );
+			start();
+		}
+	});
+});
+
+test("jQuery.ajax() - JSON bodies without a JSON object", function() {
+	expect(1);
+
+	var json = window.JSON;
+
+	window.JSON = undefined;
+
+	try {
+		jQuery.ajax({
+			url: url("data/echoData.php"),
+			type: "POST",
+			contentType: "application/json",
+			data: { name: "John" }
+		});
+		ok( false, "Request sent" );
+	} catch(e) {
+		ok( /json2\.js/.test( e ), "Clear error asking for json2.js" );
+	}
+
+	window.JSON = json;
+});
+
+test("jQuery.put(), jQuery.patch(), jQuery[\"delete\"]()", function() {
+	expect(4);
+	stop();
+
+	jQuery.put(url("data/echoData.php"), { a: 1 }, function( data ) {
+		ok( /^PUT \S+ a=1$/.test( data ), "jQuery.put()" );
+
+		jQuery.patch(url("data/echoData.php"), { a: 2 }, function( data ) {
+			ok( /^PATCH \S+ a=2$/.test( data ), "jQuery.patch()" );
+
+			jQuery["delete"](url("data/echoData.php"), function( data, status, xhr ) {
+				ok( /^DELETE /.test( data ), "jQuery.delete() without data" );
+
+				jQuery["delete"](url("data/json.php?json=array"), function( json ) {
+					equals( json[0].name, "John", "dataType argument" );
+					start();
+				}, "json");
+			});
+		});
+	});
+});
+
+test("jQuery.ajax() - response cache", function() {
+	expect(13);
+	stop();
+
+	var calls = 0,
+		id = jQuery.ajaxMock({
+			url: /mock\/cached/,
+			contentType: "application/json",
+			response: function( s, headers ) {
+				calls++;
+				return headers[ "If-None-Match" ] === "v1" ?
+					{ status: 304 } :
+					{ headers: { Etag: "v1" }, responseText: '{ "calls": ' + calls + ' }' };
+			}
+		}),
+		cache = { ttl: 30 };
+
+	jQuery.ajax({
+		url: "mock/cached",
+		data: { a: 1 },
+		dataType: "json",
+		cache: cache,
+		success: function( data ) {
+			equals( data.calls, 1, "First request hits the network" );
+
+			jQuery.getJSON("mock/cached", { a: 2 }, function( data ) {
+				equals( data.calls, 2, "Responses are cached per url and data" );
+			});
+
+			jQuery.ajax({
+				url: "mock/cached",
+				data: { a: 1 },
+				dataType: "json",
+				cache: cache,
+				success: function( cached, status, xhr ) {
+					equals( calls, 2, "Fresh responses are served from the cache" );
+					ok( cached === data, "Parsed response" );
+					equals( xhr.responseText, '{ "calls": 1 }', "responseText" );
+
+					jQuery.ajax({
+						url: "mock/cached",
+						data: { a: 1 },
+						dataType: "text",
+						cache: cache,
+						async: false,
+						success: function( text ) {
+							equals( text, '{ "calls": 1 }', "Other dataTypes are converted from the cached response" );
+						}
+					});
+
+					setTimeout(function() {
+						jQuery.ajax({
+							url: "mock/cached",
+							data: { a: 1 },
+							dataType: "json",
+							cache: cache,
+							success: function( revalidated, status, xhr ) {
+								equals( calls, 3, "Stale responses are revalidated" );
+								equals( status, "notmodified", "Not modified" );
+								ok( revalidated === data, "Cached data is given on 304" );
+
+								jQuery.ajaxCache.clear( "mock/cached?a=1" );
+
+								jQuery.ajax({
+									url: "mock/cached",
+									data: { a: 1 },
+									dataType: "json",
+									cache: cache,
+									success: function( data, status ) {
+										equals( data.calls, 4, "Cleared responses are requested again" );
+										equals( status, "success", "Not a revalidation" );
+
+										jQuery.ajaxCache.clear( /cached/ );
+
+										jQuery.ajax({
+											url: "mock/cached",
+											data: { a: 1 },
+											dataType: "json",
+											cache: {
+												ttl: 1000,
+												key: function( s ) {
+													return "all";
+												}
+											},
+											async: false,
+											success: function( data ) {
+												equals( data.calls, 5, "Cleared with a RegExp" );
+											}
+										});
+
+										jQuery.ajax({
+											url: "mock/cached",
+											data: { a: 3 },
+											dataType: "json",
+											cache: {
+												key: function( s ) {
+													return "all";
+												}
+											},
+											async: false,
+											success: function( data ) {
+												equals( data.calls, 5, "Custom keys" );
+											}
+										});
+
+										jQuery.ajaxCache.clear();
+										jQuery.ajaxMockClear( id );
+										start();
+									}
+								});
+							}
+						});
+					}, 50);
+				}
+			});
+		}
+	});
+});
+
+test("jQuery.ajax() - response cache and dataFilter", function() {
+	expect(4);
+
+	var filtered = 0,
+		id = jQuery.ajaxMock({
+			url: "mock/filtered",
+			responseText: 'while(1);{ "name": "John" }'
+		}),
+		options = {
+			url: "mock/filtered",
+			dataType: "json",
+			cache: { ttl: 1000 },
+			async: false,
+			dataFilter: function( data ) {
+				filtered++;
+				return data.replace( /^while\(1\);/, "" );
+			}
+		},
+		first, second;
+
+	jQuery.ajax( jQuery.extend( {}, options, {
+		success: function( data ) {
+			first = data;
+		}
+	}) );
+
+	jQuery.ajax( jQuery.extend( {}, options, {
+		success: function( data ) {
+			second = data;
+		}
+	}) );
+
+	equals( first.name, "John", "Filtered and parsed" );
+	ok( second === first, "Served from the cache" );
+	equals( filtered, 1, "The cached data is not filtered again" );
+
+	jQuery.ajax( jQuery.extend( {}, options, {
+		dataType: "text",
+		success: function( text ) {
+			equals( text, '{ "name": "John" }', "Other dataTypes are still filtered" );
+		}
+	}) );
+
+	jQuery.ajaxCache.clear();
+	jQuery.ajaxMockClear( id );
+});
+
+test("jQuery.ajax() - upload listener", function() {
+	expect(2);
+
+	var xhr;
+
+	function send( options ) {
+		jQuery.ajax( jQuery.extend({
+			url: "data/upload",
+			type: "POST",
+			data: "a=1",
+			global: false,
+			xhr: function() {
+				xhr = fakeXHR( 200, "ok" );
+				xhr.upload = {};
+				return xhr;
+			}
+		}, options ) );
+
+		return xhr.upload.onprogress;
+	}
+
+	ok( !send(), "No upload listener (that would preflight cross-domain requests) unless needed" );
+	ok( send({ uploadProgress: function() {} }), "Upload listener for uploadProgress callbacks" );
+});
+
+test("jQuery.ajax() - progress", function() {
+	expect(7);
+	stop();
+
+	var loaded, total, uploaded, globals = 0, early = true, added,
+		body = new Array( 1001 ).join( "x" );
+
+	jQuery("#foo").bind("ajaxProgress", function( e, xhr, s, loaded, total, upload ) {
+		globals++;
+	});
+
+	jQuery.ajax({
+		url: url("data/echoData.php"),
+		type: "POST",
+		data: body,
+		progress: function( l, t, xhr ) {
+			loaded = l;
+			total = t;
+			early = early && xhr.readyState !== 4;
+		},
+		uploadProgress: function( l, t ) {
+			uploaded = l;
+		},
+		success: function( data ) {
+			equals( loaded, data.length, "Loaded bytes of the response" );
+			ok( total === undefined || total === data.length, "Total bytes of the response, when known" );
+			equals( uploaded, body.length, "Uploaded bytes of the request body" );
+			ok( globals >= 2, "ajaxProgress is triggered for both" );
+			ok( early, "Progress is reported before the request is done" );
+			equals( added, loaded, "Callbacks added with jXHR.progress()" );
+
+			jQuery("#foo").unbind("ajaxProgress");
+		}
+	}).progress(function( l ) {
+		added = l;
+	}).complete(function( xhr ) {
+		var called = false;
+		xhr.progress(function() {
+			called = true;
+		});
+		ok( !called, "Callbacks aren't fired once the request is done" );
+		start();
+	});
+});
+
+test("serializeArray() - HTML5 input types", function() {
+	expect(1);
+
+	var types = "color date datetime datetime-local email month number range search tel time url week".split(" "),
+		form = jQuery("<form></form>");
+
+	jQuery.each( types, function( i, type ) {
+		var input = document.createElement("input");
+		input.name = type;
+
+		// Browsers that don't know the type fall back to text
+		try {
+			input.type = type;
+		} catch(e) {}
+
+		form.append( input );
+	});
+
+	equals( form.serializeArray().length, types.length, "All HTML5 text-like input types are serialized" );
+});
+
+test("ajaxSubmit()", function() {
+	expect(4);
+	stop();
+
+	var form = jQuery("<form action='" + url("data/echoData.php") + "' method='post'>" +
+			"<input name='name' value='John' /><input type='email' name='mail' value='j@example.com' />" +
+			"<input type='file' name='file' /><input type='submit' name='go' value='Go' /></form>").appendTo("#main");
+
+	form.ajaxSubmit({
+		data: { extra: 1 },
+		success: function( data ) {
+			equals( data, "POST application/x-www-form-urlencoded name=John&mail=j%40example.com&extra=1",
+				"Action, method, fields and extra data (but no submit button)" );
+
+			form.attr( "action", url("data/echoQuery.php") ).attr( "method", "get" ).ajaxSubmit({
+				data: "extra=2",
+				success: function( data ) {
+					ok( /name=John&mail=j%40example.com&extra=2$/.test( data ), "GET forms send their fields in the url" );
+
+					jQuery("<form method='post' enctype='multipart/form-data' action='" + url("data/echoData.php") + "'><input name='a' value='1' /></form>")
+						.appendTo("#main")
+						.ajaxSubmit({
+							beforeSend: function( xhr, s ) {
+								ok( !window.FormData || s.data instanceof FormData, "Multipart forms are sent with FormData where supported" );
+							},
+							success: function( data ) {
+								ok( /^POST /.test( data ), "Multipart request" );
+								start();
+							}
+						});
+				}
+			});
+		}
+	});
+});
+
+test("ajaxForm()", function() {
+	expect(3);
+	stop();
+
+	var form = jQuery("<form action='" + url("data/echoData.php") + "' method='post'>" +
+			"<input name='name' value='John' /><input type='submit' name='save' value='Save' />" +
+			"<button type='submit' name='remove' value='yes'><span>Remove</span></button></form>").appendTo("#main"),
+		requests = 0;
+
+	// Only the click handlers are wanted, not the native submission
+	form.find(":submit").click(function( e ) {
+		e.preventDefault();
+	});
+
+	form.ajaxForm({
+		success: function( data ) {
+			requests++;
+
+			if ( requests === 1 ) {
+				equals( data, "POST application/x-www-form-urlencoded name=John&save=Save", "Clicked submit button is sent" );
+				form.find("span").trigger("click");
+				form.trigger("submit");
+
+			} else if ( requests === 2 ) {
+				equals( data, "POST application/x-www-form-urlencoded name=John&remove=yes", "Clicks bubbling from inside a button" );
+				form.trigger("submit");
+
+			} else {
+				equals( data, "POST application/x-www-form-urlencoded name=John", "Submitted without a button" );
+				form.unbind(".ajaxForm");
+				start();
+			}
+		}
+	});
+
+	form.find("input[name=save]").trigger("click");
+	form.trigger("submit");
+});
+
+test("ajaxSubmit() - fields sent through the iframe", function() {
+	expect(2);
+
+	jQuery("<form action='data/upload' method='post' enctype='multipart/form-data'><input name='a' value='1' /></form>")
+		.appendTo("#main")
+		.ajaxSubmit({
+			iframe: true,
+			beforeSend: function( xhr, s ) {
+				var names = jQuery.map( jQuery( s.form ).serializeArray(), function( field ) {
+					return field.name;
+				});
+
+				// The data is added to the form as hidden inputs
+				jQuery.each( s.data ? s.data.split("&") : [], function( i, pair ) {
+					names.push( pair.split("=")[0] );
+				});
+
+				equals( names.join(","), "a", "Each field is sent once" );
+				ok( s.iframe, "Sent through the iframe" );
+				return false;
+			}
+		})
+		.remove();
+});
+
+if ( !isLocal ) {
+
+test("ajaxSubmit() - iframe transport", function() {
+	expect(5);
+	stop();
+
+	jQuery("<form action='" + url("data/iframeUpload.php") + "' method='post' enctype='multipart/form-data'>" +
+			"<input name='name' value='John &amp; Peter' /><input type='file' name='file' /></form>")
+		.appendTo("#main")
+		.ajaxSubmit({
+			iframe: true,
+			dataType: "json",
+			data: { extra: "<1>" },
+			success: function( data, status, xhr ) {
+				equals( data.post.name, "John & Peter", "Form fields" );
+				equals( data.post.extra, "<1>", "Extra data" );
+				ok( /^<textarea/i.test( xhr.responseText ) === false, "The textarea is unwrapped" );
+
+				var form = jQuery("#main form:last")[0];
+				equals( form.getAttribute("target"), null, "The form is restored" );
+				equals( jQuery( "input[type=hidden]", form ).length, 0, "Extra inputs are removed" );
+				start();
+			}
+		});
+});
+
+}
+
+test("jQuery.deparam()", function() {
+	expect(15);
+
+	var traditional = jQuery.param.traditional,
+		params = { foo: "bar", baz: 42, quux: "All your base are belong to us" };
+
+	jQuery.param.traditional = false;
+
+	same( jQuery.deparam( jQuery.param( params ), true ), params, "simple" );
+
+	params = { someName: [ 1, 2, 3 ], regularThing: "blah" };
+	same( jQuery.deparam( jQuery.param( params ), true ), params, "with array" );
+
+	params = { a: { b: { c: "1" }, d: [ "2", "3" ] }, e: "x y&z=" };
+	same( jQuery.deparam( jQuery.param( params ) ), params, "nested objects and arrays" );
+
+	same( jQuery.deparam( "a[]=1" ), { a: [ "1" ] }, "Array of one item" );
+	same( jQuery.deparam( "a=1&a=2" ), { a: [ "1", "2" ] }, "Repeated keys" );
+	same( jQuery.deparam( "?a=1" ), { a: "1" }, "Leading question mark" );
+	same( jQuery.deparam( "#a=1&b" ), { a: "1", b: "" }, "Leading hash and key without a value" );
+	same( jQuery.deparam( "a=true&b=false&c=undefined&d=1.5&e=&f=x" , true ),
+		{ a: true, b: false, c: undefined, d: 1.5, e: "", f: "x" }, "Coercion" );
+	same( jQuery.deparam( "a=true&b=1" ), { a: "true", b: "1" }, "No coercion by default" );
+	same( jQuery.deparam( "__proto__[polluted]=1&constructor=2" ), { constructor: "2" }, "Prototype keys" );
+	ok( !({}).polluted, "Object.prototype is left untouched" );
+	same( jQuery.deparam( "hasOwnProperty=1&x=2" ), { hasOwnProperty: "1", x: "2" }, "hasOwnProperty key" );
+	same( jQuery.deparam( "a[hasOwnProperty]=1&a[b]=2" ), { a: { hasOwnProperty: "1", b: "2" } }, "Nested hasOwnProperty key" );
+	same( jQuery.deparam( "a=+&b=0x10&c=1e3&d=-2&e=1.50", true ), { a: " ", b: "0x10", c: "1e3", d: -2, e: "1.50" },
+		"Only numbers that read back the same are coerced" );
+
+	jQuery.param.traditional = true;
+
+	params = { a: [ "1", "2" ], "b[c]": "3" };
+	same( jQuery.deparam( jQuery.param( params ) ), params, "Traditional" );
+
+	jQuery.param.traditional = traditional;
+});
+
+test("deserialize()", function() {
+	expect(13);
+
+	var traditional = jQuery.param.traditional,
+		form = jQuery("<form>" +
+			"<input name='name' /><input type='number' name='user[age]' /><textarea name='user[bio]'></textarea>" +
+			"<input name='tags[]' /><input name='tags[]' /><input name='tags[]' value='keep' />" +
+			"<input type='checkbox' name='opts[]' value='a' /><input type='checkbox' name='opts[]' value='b' checked='checked' />" +
+			"<input type='radio' name='size' value='s' /><input type='radio' name='size' value='l' />" +
+			"<select name='color'><option>red</option><option>blue</option></select>" +
+			"<select name='days[]' multiple='multiple'><option>mon</option><option>tue</option><option>wed</option></select>" +
+			"<input name='untouched' value='same' />" +
+		"</form>").appendTo("#main");
+
+	jQuery.param.traditional = false;
+
+	form.deserialize({
+		name: "John",
+		user: { age: 42, bio: "Hi" },
+		tags: [ "x", "y" ],
+		opts: [ "a" ],
+		size: "l",
+		color: "blue",
+		days: [ "mon", "wed" ]
+	});
+
+	equals( form.find("[name=name]").val(), "John", "Text input" );
+	equals( form.find("[name=user[age]]").val(), "42", "Nested key, number" );
+	equals( form.find("textarea").val(), "Hi", "Textarea" );
+	equals( form.find("[name=tags[]]").map(function() { return this.value; }).get().join(","), "x,y,keep", "Inputs sharing a name" );
+	ok( form.find("[value=a]")[0].checked, "Checked checkbox" );
+	ok( !form.find("[value=b]")[0].checked, "Unchecked checkbox" );
+	ok( form.find("[value=l]")[0].checked && !form.find("[value=s]")[0].checked, "Radio" );
+	equals( form.find("[name=color]").val(), "blue", "Select" );
+	equals( form.find("[name=days[]]").val().join(","), "mon,wed", "Multiple select" );
+	equals( form.find("[name=untouched]").val(), "same", "Missing values are left untouched" );
+
+	form.deserialize( "name=Peter&user%5Bage%5D=7" );
+	equals( form.find("[name=name]").val(), "Peter", "Query string" );
+	equals( form.find("[name=user[age]]").val(), "7", "Query string, nested key" );
+
+	form.deserialize( form.serialize() );
+	equals( form.serialize(), "name=Peter&user%5Bage%5D=7&user%5Bbio%5D=Hi&tags%5B%5D=x&tags%5B%5D=y&tags%5B%5D=keep&opts%5B%5D=a&size=l&color=blue&days%5B%5D=mon&days%5B%5D=wed&untouched=same",
+		"Round trip" );
+
+	jQuery.param.traditional = traditional;
+});
+
+test("serializeObject()", function() {
+	expect(7);
+
+	var traditional = jQuery.param.traditional,
+		json = window.JSON,
+		form = jQuery("<form>" +
+			"<input name='user[name]' value='John' /><input type='email' name='user[address][mail]' value='j@example.com' />" +
+			"<input name='tags[]' value='a' /><input name='tags[]' value='b' />" +
+			"<input type='checkbox' name='opts' value='x' checked='checked' /><input type='checkbox' name='opts' value='y' />" +
+			"<input type='checkbox' name='none' value='x' /><input type='checkbox' name='none' value='y' />" +
+			"<input type='checkbox' name='single' value='on' />" +
+			"<select name='days' multiple='multiple'><option selected='selected'>mon</option><option>tue</option></select>" +
+			"<input type='radio' name='size' value='s' /><input type='radio' name='size' value='l' checked='checked' />" +
+			"<input name='off' value='1' disabled='disabled' /><input type='file' name='file' /><input type='submit' name='go' value='Go' />" +
+		"</form>").appendTo("#main");
+
+	jQuery.param.traditional = false;
+
+	same( form.serializeObject(), {
+		user: { name: "John", address: { mail: "j@example.com" } },
+		tags: [ "a", "b" ],
+		opts: [ "x" ],
+		none: [],
+		days: [ "mon" ],
+		size: "l"
+	}, "Nested objects and arrays" );
+
+	form.find("[name=single]").attr( "checked", true );
+	equals( form.serializeObject().single, "on", "Lone checkbox, checked" );
+
+	same( form.find("input[name^=user]").serializeObject(), { user: { name: "John", address: { mail: "j@example.com" } } }, "Form elements" );
+
+	same( jQuery.deparam( form.serialize() ).user, form.serializeObject().user, "Same convention as jQuery.param" );
+
+	equals( jQuery("<form><input name='a[b]' value='1' /><input name='c' value='2' /></form>").serializeJSON(), '{"a":{"b":"1"},"c":"2"}', "serializeJSON()" );
+
+	window.JSON = undefined;
+	try {
+		form.serializeJSON();
+		ok( false, "Serialized without a JSON object" );
+	} catch(e) {
+		ok( /json2\.js/.test( e ), "serializeJSON() asks for json2.js without a JSON object" );
+	}
+	window.JSON = json;
+
+	jQuery.param.traditional = true;
+	same( form.find("input[name^=user]").serializeObject(), { "user[name]": "John", "user[address][mail]": "j@example.com" }, "Traditional" );
+
+	jQuery.param.traditional = traditional;
+});
+
+test("jQuery.require()", function() {
+	expect(9);
+	stop();
+
+	var calls = {},
+		id = jQuery.ajaxMock({
+			url: /require\//,
+			response: function( s ) {
+				var name = s.url.replace( /^.*\/|\.js.*$/g, "" );
+				calls[ name ] = ( calls[ name ] || 0 ) + 1;
+
+				return name === "missing" ?
+					{ status: 404 } :
+					{
+						// The first scripts are the slowest
+						responseTime: name === "a" || name === "f" ? 60 : 10,
+						responseText: "window.requireLog.push('" + name + "');"
+					};
+			}
+		});
+
+	window.requireLog = [];
+
+	jQuery.require( [ "data/require/a.js", "data/require/b.js" ], function() {
+		equals( window.requireLog.join(","), "a,b", "Scripts run in the given order" );
+	});
+
+	jQuery.require( [ "data/require/b.js", "http://example.com/require/c.js" ] ).done(function() {
+		equals( window.requireLog.join(","), "a,b,c", "Scripts wait for the ones required before them" );
+		equals( calls.b, 1, "Scripts are only loaded once" );
+		equals( calls.c, 1, "Cross domain scripts" );
+
+		jQuery.require( "data/require/a.js", function() {
+			equals( calls.a, 1, "Loaded scripts aren't requested again" );
+
+			jQuery.require( [ "data/require/missing.js", "data/require/d.js" ] ).fail(function( xhr, status ) {
+				equals( status, "error", "Load errors are reported" );
+				equals( window.requireLog.join(","), "a,b,c", "Scripts depending on a missing one don't run" );
+
+				jQuery.require( "data/require/missing.js" ).fail(function() {
+					equals( calls.missing, 2, "Failed scripts can be required again" );
+
+					jQuery.require( "data/require/e.js", function() {
+						jQuery.require( [ "data/require/f.js", "data/require/e.js", "data/require/g.js" ], function() {
+							equals( window.requireLog.join(","), "a,b,c,e,f,g", "Scripts after an already required one wait for the ones before it" );
+
+							jQuery.ajaxMockClear( id );
+							delete window.requireLog;
+							start();
+						});
+					});
+				});
+			});
+		});
+	});
+});
+
+if ( !isLocal && /^(localhost|127\.0\.0\.1)\b/.test( location.host ) ) {
+
+test("jQuery.ajax() - script tag load errors", function() {
+	expect(4);
+	stop();
+
+	// The other name of the local host makes it a cross domain request
+	var other = location.href.replace( /\/\/(localhost|127\.0\.0\.1)/, function( all, host ) {
+		return "//" + ( host === "localhost" ? "127.0.0.1" : "localhost" );
+	});
+
+	jQuery.ajax({
+		url: other.replace( /[^\/]*$/, "" ) + "data/nonexistent.js",
+		dataType: "script",
+		error: function( xhr, status ) {
+			equals( status, "error", "The script couldn't be loaded" );
+			equals( xhr.status, 404, "Status" );
+
+			jQuery.ajax({
+				url: other.replace( /[^\/]*$/, "" ) + "data/nonexistent.php",
+				dataType: "jsonp",
+				complete: function( xhr, status ) {
+					equals( status, "error", "JSONP script that couldn't be loaded" );
+					equals( jQuery("head script[src*=nonexistent]").length, 0, "The script is removed" );
+					start();
+				}
+			});
+		}
+	});
+});
+
+}
+
+test("jQuery.ajax() - aborting a script tag still loading", function() {
+	expect(2);
+
+	var xhr = jQuery.ajax({
+			url: "http://example.com/data/aborted.js",
+			dataType: "script"
+		}),
+		script = jQuery("head script[src*=aborted]")[0];
+
+	// As in IE, before the script is loaded
+	script.readyState = "loading";
+	xhr.abort();
+
+	ok( !script.parentNode, "The script is removed" );
+	ok( !script.onload && !script.onreadystatechange, "Its handlers are removed" );
+});
+
+test("jQuery.ajax() - JSONP errors and timeouts", function() {
+	expect(9);
+	stop();
+
+	var id = jQuery.ajaxMock({
+			url: /jsonp\/(slow|missing)/,
+			response: function( s ) {
+				return /missing/.test( s.url ) ?
+					{ status: 404 } :
+					{ responseTime: 500, responseText: s.url.replace( /^.*callback=(\w+).*$/, "$1" ) + "({})" };
+			}
+		}),
+		callbackName;
+
+	function name( xhr, s ) {
+		callbackName = /callback=(\w+)/.exec( s.url )[ 1 ];
+	}
+
+	jQuery.ajax({
+		url: "http://example.com/jsonp/slow",
+		dataType: "jsonp",
+		timeout: 20,
+		beforeSend: name,
+		error: function( xhr, status ) {
+			equals( status, "timeout", "JSONP requests time out" );
+		},
+		complete: function( xhr, status ) {
+			var late = window[ callbackName ];
+
+			equals( status, "timeout", "complete is called" );
+			ok( jQuery.isFunction( late ), "Late callbacks can still be called" );
+			late({});
+			ok( !window[ callbackName ], "Late callbacks remove themselves" );
+
+			jQuery.ajax({
+				url: "http://example.com/jsonp/missing",
+				dataType: "jsonp",
+				beforeSend: name,
+				error: function( xhr, status ) {
+					equals( status, "error", "Scripts that can't be loaded give an error" );
+				},
+				complete: function( xhr, status ) {
+					equals( status, "error", "complete is called" );
+					ok( !window[ callbackName ], "The callback is removed" );
+					ok( !jQuery("head script[src*=" + callbackName + "]").length, "The script is removed" );
+
+					setTimeout(function() {
+						equals( jQuery.active, 0, "No request left" );
+						jQuery.ajaxMockClear( id );
+						start();
+					}, 1);
+				}
+			});
+		}
+	});
+});
+
+
+test("jQuery.stream() - long-polling", function() {
+	expect(13);
+	stop();
+
+	var polls = 0,
+		log = [],
+		id = jQuery.ajaxMock({
+			url: "data/stream",
+			response: function( s, headers ) {
+				polls++;
+
+				if ( polls === 1 ) {
+					return { responseText: "{\"n\":1}", headers: { "Last-Event-ID": "1" } };
+				}
+
+				if ( polls === 2 ) {
+					return { status: 500, statusText: "Internal Server Error" };
+				}
+
+				equals( headers[ "Last-Event-ID" ], "1", "The id of the last message is sent back" );
+				return polls === 3 ? { status: 204, statusText: "No Content" } : "{\"n\":2}";
+			}
+		}),
+		stream = jQuery.stream( "data/stream", {
+			transport: "longpoll",
+			reconnect: { delay: 10, backoff: 3 }
+		});
+
+	function ignored() {
+		ok( false, "Unbound handlers aren't called" );
+	}
+
+	stream
+		.bind( "message.ignored", ignored )
+		.unbind( ".ignored" )
+		.bind( "open", function() {
+			log.push( "open" );
+		})
+		.bind( "error", function( e, xhr, status ) {
+			log.push( "error" );
+			equals( xhr.status, 500, "Failed requests are reported" );
+		})
+		.bind( "reconnect", function( e, delay, attempt ) {
+			log.push( "reconnect" );
+			equals( delay, 10, "Delay of the first attempt" );
+			equals( attempt, 1, "Number of the attempt" );
+			equals( stream.readyState, 0, "Connecting while waiting" );
+		})
+		.bind( "message.myns", function( e, data, id ) {
+			log.push( "message" );
+			ok( this === stream, "Handlers are called on the stream" );
+
+			if ( data.n === 1 ) {
+				equals( id, "1", "Id of the message" );
+				equals( stream.readyState, 1, "Open" );
+			} else {
+				equals( stream.retries, 0, "The retries are reset once connected" );
+				stream.close();
+			}
+		})
+		.bind( "close", function() {
+			log.push( "close" );
+			equals( log.join(","), "open,message,error,reconnect,open,message,close", "Order of the events" );
+
+			// Make sure no other request is sent
+			setTimeout(function() {
+				equals( polls, 4, "Closed streams stop polling" );
+				jQuery.ajaxMockClear( id );
+				start();
+			}, 50);
+		});
+});
+
+test("jQuery.stream() - EventSource reconnection", function() {
+	expect(6);
+	stop();
+
+	var original = window.EventSource,
+		sources = [],
+		log = [],
+		stream;
+
+	window.EventSource = function( url ) {
+		this.url = url;
+		this.readyState = 0;
+		sources.push( this );
+	};
+	window.EventSource.prototype = {
+		addEventListener: function() {},
+		close: function() {
+			this.readyState = 2;
+		}
+	};
+
+	stream = jQuery.stream( "data/stream", { reconnect: { delay: 10 } } )
+		.bind( "open error reconnect", function( e ) {
+			log.push( e.type );
+		});
+
+	sources[0].readyState = 1;
+	sources[0].onopen();
+
+	// The browser reconnects by itself
+	sources[0].readyState = 0;
+	sources[0].onerror( {} );
+	equals( stream.readyState, 0, "Connecting again" );
+	equals( sources.length, 1, "The browser's reconnection is kept" );
+
+	sources[0].readyState = 1;
+	sources[0].onopen();
+	equals( stream.readyState, 1, "Open again" );
+
+	// The browser gave up
+	sources[0].readyState = 2;
+	sources[0].onerror( {} );
+
+	setTimeout(function() {
+		equals( sources.length, 2, "New connection once the browser gave up" );
+		equals( log.join(","), "open,error,open,error,reconnect", "Events" );
+
+		stream.close();
+		equals( sources[1].readyState, 2, "Closed" );
+
+		window.EventSource = original;
+		start();
+	}, 50);
+});
+
+
+test("jQuery.ajax() - headers option", function() {
+	expect(4);
+
+	var sent,
+		id = jQuery.ajaxMock({
+			url: "data/headers",
+			response: function( s, headers ) {
+				sent = headers;
+			}
+		});
+
+	jQuery.ajaxSetup({ headers: { "X-Plugin": "setup", "X-Shared": "setup" } });
+
+	jQuery.ajax({ url: "data/headers", async: false, headers: { "X-Shared": "call", "Accept": "text/x-custom" } });
+	equals( sent[ "X-Plugin" ], "setup", "Headers of the settings" );
+	equals( sent[ "X-Shared" ], "call", "The headers given to jQuery.ajax take precedence" );
+	equals( sent.Accept, "text/x-custom", "Headers set by jQuery can be overridden" );
+
+	jQuery.ajax({ url: "data/headers", async: false });
+	equals( sent[ "X-Shared" ], "setup", "The headers of a call don't leak into the settings" );
+
+	jQuery.ajaxSettings.headers = {};
+	jQuery.ajaxMockClear( id );
+});
+
+test("jQuery.ajax() - csrf option", function() {
+	expect(8);
+
+	var sent,
+		id = jQuery.ajaxMock({
+			url: /data\/csrf/,
+			response: function( s, headers ) {
+				sent = headers;
+			}
+		}),
+		meta = jQuery("<meta name='csrf-token' content='meta-token'/>").appendTo("head");
+
+	function send( options ) {
+		sent = undefined;
+		jQuery.ajax( jQuery.extend( { url: "data/csrf", type: "POST", async: false }, options ) );
+		return sent;
+	}
+
+	ok( !send()[ "X-CSRF-Token" ], "No token unless asked for" );
+
+	jQuery.ajaxSetup({ csrf: true });
+
+	equals( send()[ "X-CSRF-Token" ], "meta-token", "Token read from the meta tag" );
+	ok( !send({ type: "GET" })[ "X-CSRF-Token" ], "No token for GET requests" );
+	ok( !send({ url: "http://example.com/data/csrf" })[ "X-CSRF-Token" ], "No token for other domains" );
+	ok( !send({ url: "http://example.com/data/csrf", crossDomain: false })[ "X-CSRF-Token" ],
+		"No token for other domains, even with crossDomain: false" );
+	equals( send({ csrf: { header: "X-XSRF-Token", token: function() { return "given"; } } })[ "X-XSRF-Token" ],
+		"given", "Custom header and token" );
+
+	meta.remove();
+	document.cookie = "XSRF-TOKEN=cookie%20token; path=/";
+
+	if ( /XSRF-TOKEN/.test( document.cookie ) ) {
+		equals( send({ type: "DELETE" })[ "X-CSRF-Token" ], "cookie token", "Token read from a cookie" );
+		document.cookie = "XSRF-TOKEN=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/";
+	} else {
+		ok( true, "Cookies can't be set here" );
+	}
+
+	ok( !send()[ "X-CSRF-Token" ], "No header without a token" );
+
+	jQuery.ajaxSettings.csrf = false;
+	jQuery.ajaxMockClear( id );
+});
+
+
+test("jQuery.ajax() - crossDomain and xhrFields", function() {
+	expect(10);
+
+	var settings, sent, fake,
+		cors = jQuery.support.cors,
+		id = jQuery.ajaxMock({
+			url: /data\/cors/,
+			response: function( s, headers ) {
+				settings = s;
+				sent = headers;
+			}
+		});
+
+	equals( typeof jQuery.support.cors, "boolean", "jQuery.support.cors" );
+
+	jQuery.ajax({ url: "data/cors", async: false });
+	ok( !settings.crossDomain, "Same domain" );
+	equals( sent[ "X-Requested-With" ], "XMLHttpRequest", "X-Requested-With on the same domain" );
+
+	jQuery.ajax({ url: "http://example.com/data/cors", async: false });
+	ok( settings.crossDomain, "Other domain" );
+	ok( !sent[ "X-Requested-With" ], "No X-Requested-With on other domains" );
+
+	jQuery.ajax({ url: "data/cors", crossDomain: true, async: false });
+	ok( settings.crossDomain, "Explicit crossDomain setting" );
+
+	jQuery.ajaxMockClear( id );
+
+	jQuery.ajax({
+		url: "http://example.com/data/cors",
+		async: false,
+		xhr: function() {
+			return fake = {
+				open: function() {},
+				setRequestHeader: function() {},
+				getAllResponseHeaders: function() {
+					return "";
+				},
+				send: function() {
+					this.readyState = 4;
+					this.status = 200;
+					this.statusText = "OK";
+					this.responseText = "ok";
+				}
+			};
+		},
+		xhrFields: {
+			withCredentials: true
+		},
+		success: function( data ) {
+			equals( data, "ok", "Request sent" );
+		}
+	});
+	ok( fake.withCredentials, "Fields set on the native object" );
+
+	jQuery.support.cors = false;
+
+	jQuery.ajax({
+		url: "http://example.com/data/cors",
+		dataType: "json",
+		async: false,
+		error: function( xhr, status, error ) {
+			equals( status, "error", "Cross-domain requests fail without cross-origin support" );
+			ok( /cross-domain/.test( error ), "The error tells why: " + error );
+		}
+	});
+
+	jQuery.support.cors = cors;
+});
+
+
+test("jQuery.ajax() - timing and jQuery.ajaxLog()", function() {
+	expect(14);
+	stop();
+
+	var id = jQuery.ajaxMock({
+			url: /data\/timing/,
+			responseTime: 30,
+			response: function( s ) {
+				return /missing/.test( s.url ) ? { status: 404, statusText: "Not Found" } : "12345";
+			}
+		}),
+		events = 0;
+
+	jQuery.ajaxLog( 2 );
+
+	jQuery("#foo").ajaxTiming(function( e, xhr, s, timing ) {
+		if ( /data\/timing/.test( s.url ) ) {
+			events++;
+			ok( timing === xhr.timing, "ajaxTiming gets the timing of the request" );
+		}
+	});
+
+	jQuery.ajax({
+		url: "data/timing",
+		queue: "timing",
+		success: function( data, status, xhr ) {
+			var timing = xhr.timing;
+			ok( timing.queued <= timing.sent && timing.sent <= timing.firstByte && timing.firstByte <= timing.done,
+				"Times are in order" );
+			ok( timing.duration >= 20, "Duration: " + timing.duration );
+		}
+	});
+
+	jQuery.ajax({ url: "data/timing/missing", queue: "timing" });
+
+	jQuery.ajax({ url: "data/timing", type: "POST", queue: "timing", global: false }).complete(function( xhr ) {
+		var log = jQuery.ajaxLog();
+
+		ok( xhr.timing.sent - xhr.timing.queued >= 40, "Waiting in the queue is part of the timing" );
+		equals( events, 2, "ajaxTiming isn't fired for requests that aren't global" );
+
+		equals( log.length, 2, "Only the last requests are kept" );
+		equals( log[0].url, "data/timing/missing", "Url" );
+		equals( log[0].status, 404, "Status" );
+		equals( log[0].textStatus, "error", "Text status" );
+		equals( log[1].type, "POST", "Type" );
+		equals( log[1].size, 5, "Size" );
+		ok( log[1].duration === xhr.timing.duration, "Duration" );
+
+		jQuery.ajaxLog( false );
+		jQuery.ajax({ url: "data/timing", async: false, global: false });
+		equals( jQuery.ajaxLog().length, 0, "Recording can be stopped" );
+
+		jQuery("#foo").unbind("ajaxTiming");
+		jQuery.ajaxMockClear( id );
+		start();
+	});
+});
+
+
+test("jQuery.ajax() - offline queue", function() {
+	expect(14);
+	stop();
+
+	var online = false,
+		received = [],
+		replayed = [],
+		id = jQuery.ajaxMock({
+			url: "data/offline",
+			response: function( s ) {
+				// Offline requests time out
+				if ( !online ) {
+					return { responseTime: 1000 };
+				}
+				received.push( s.data );
+				return "saved " + s.data;
+			}
+		});
+
+	jQuery.ajaxOffline.clear();
+
+	jQuery("#foo").ajaxReplay(function( e, xhr, s, status ) {
+		replayed.push( status );
+	});
+
+	jQuery.ajax({
+		url: "data/offline",
+		type: "POST",
+		data: { n: 1 },
+		timeout: 20,
+		offline: "queue",
+		success: function( data ) {
+			equals( data, "saved n=1", "The original callbacks get the response once replayed" );
+		}
+	});
+
+	jQuery.ajax({
+		url: "data/offline",
+		type: "POST",
+		data: "n=2",
+		timeout: 20,
+		offline: "queue",
+		headers: { "X-Inspection": "42" }
+	}).complete(function( xhr, status ) {
+		equals( status, "success", "Second request replayed" );
+		equals( received.join(","), "n=1,n=2", "Requests are replayed in order" );
+		equals( replayed.join(","), "success,success", "ajaxReplay is triggered for each replayed request" );
+		equals( jQuery.ajaxOffline.requests().length, 0, "Replayed requests are removed" );
+
+		jQuery("#foo").unbind("ajaxReplay");
+		jQuery.ajaxMockClear( id );
+		start();
+	});
+
+	jQuery.ajax({
+		url: "data/offline",
+		type: "POST",
+		data: "n=3",
+		timeout: 20,
+		error: function( xhr, status ) {
+			equals( status, "timeout", "Requests without the offline option fail" );
+		}
+	});
+
+	setTimeout(function() {
+		var requests = jQuery.ajaxOffline.requests();
+
+		equals( requests.length, 2, "Failed requests are kept" );
+		equals( requests[0].url, "data/offline", "Url" );
+		equals( requests[0].type, "POST", "Type" );
+		equals( requests[0].data, "n=1", "Serialized data" );
+		equals( requests[1].headers[ "X-Inspection" ], "42", "Headers" );
+		equals( jQuery.active, 0, "Kept requests don't hold the global AJAX counter" );
+
+		// Still offline: the replay stops at the first request
+		jQuery.ajaxOffline.replay();
+
+		setTimeout(function() {
+			equals( jQuery.ajaxOffline.requests().length, 2, "Requests are kept until they reach the server" );
+			equals( replayed.length, 0, "No replay yet" );
+
+			online = true;
+			jQuery( window ).trigger( "online" );
+		}, 100);
+	}, 100);
+});
+
+test("jQuery.ajax() - offline queue of network errors", function() {
+	expect(5);
+	stop();
+
+	var online = false;
+
+	jQuery.ajaxOffline.clear();
+
+	jQuery.ajax({
+		url: "data/offline",
+		type: "POST",
+		data: "n=1",
+		offline: "queue",
+		csrf: { token: "secret" },
+		xhr: function() {
+			return online ? fakeXHR( 200, "saved" ) : fakeXHR( 0 );
+		},
+		success: function( data ) {
+			ok( online, "Success only once the server answers" );
+			equals( data, "saved", "Response of the replayed request" );
+		}
+	}).complete(function() {
+		equals( jQuery.ajaxOffline.requests().length, 0, "Replayed request removed" );
+		start();
+	});
+
+	setTimeout(function() {
+		var requests = jQuery.ajaxOffline.requests();
+
+		equals( requests.length, 1, "Requests that got no response are kept" );
+		ok( requests[0] && requests[0].csrf, "The csrf option is kept" );
+
+		online = true;
+		jQuery.ajaxOffline.replay();
+	}, 50);
+});
 
 //}
@@ -670,3 +670,210 @@ test("jQuery.isEmptyObject", function(){
 	// What about this ?
 	// equals(true, jQuery.isEmptyObject(null), "isEmptyObject on null" );
 });
+
+test("jQuery._Deferred()", function() {
+	expect(10);
+
+	var deferred, object, test;
+
+	deferred = jQuery._Deferred();
+
+	test = false;
+
+	deferred.done( function( value ) {
+		equals( value, "value", "Test pre-resolve callback" );
+		test = true;
+	} );
+
+	deferred.resolve( "value" );
+
+	ok( test, "Test pre-resolve callbacks called right away" );
+
+	test = false;
+
+	deferred.done( function( value ) {
+		equals( value, "value", "Test post-resolve callback" );
+		test = true;
+	} );
+
+	ok( test, "Test post-resolve callbacks called right away" );
+
+	deferred.cancel();
+
+	test = true;
+
+	deferred.done( function() {
+		ok( false, "Cancel was ignored" );
+		test = false;
+	} );
+
+	ok( test, "Test cancel" );
+
+	deferred = jQuery._Deferred().resolve();
+
+	try {
+		deferred.done( function() {
+			throw "Error";
+		}, function() {
+			ok( true, "Test deferred do not cancel on exception" );
+		} );
+	} catch( e ) {
+		equals( e, "Error", "Test deferred propagates exceptions" );
+		deferred.done();
+	}
+
+	test = "";
+	deferred = jQuery._Deferred().done( function() {
+		test += "A";
+	}, function() {
+		test += "B";
+	} ).resolve();
+
+	equals( test, "AB", "Test multiple done parameters" );
+
+	test = "";
+
+	deferred.done( function() {
+		deferred.done( function() {
+			test += "C";
+		} );
+		test += "A";
+	}, function() {
+		test += "B";
+	} );
+
+	equals( test, "ABC", "Test done callbacks order" );
+
+	deferred = jQuery._Deferred();
+
+	deferred.resolveWith( jQuery, [ document ] ).done( function( doc ) {
+		ok( this === jQuery && arguments.length === 1 && doc === document, "Test resolveWith" );
+	});
+});
+
+test("jQuery.Deferred()", function() {
+	expect(10);
+
+	jQuery.Deferred().resolve().then( function() {
+		ok( true, "Success on resolve" );
+		ok( this.isResolved(), "Deferred is resolved" );
+	}, function() {
+		ok( false, "Error on resolve" );
+	}).always( function() {
+		ok( true, "Always callback on resolve" );
+	});
+
+	jQuery.Deferred().reject().then( function() {
+		ok( false, "Success on reject" );
+	}, function() {
+		ok( true, "Error on reject" );
+		ok( this.isRejected(), "Deferred is rejected" );
+	}).always( function() {
+		ok( true, "Always callback on reject" );
+	});
+
+	jQuery.Deferred( function( defer ) {
+		ok( this === defer, "Defer passed as this & first argument" );
+		this.resolve( "done" );
+	}).then( function( value ) {
+		equals( value, "done", "Passed function executed" );
+	});
+
+	var deferred = jQuery.Deferred(),
+		promise = deferred.promise();
+
+	ok( promise === deferred.promise(), "The promise is cached" );
+	ok( !promise.resolve && !promise.reject, "The promise cannot change the state of the deferred" );
+});
+
+test("jQuery.when()", function() {
+	expect(20);
+
+	// Some other objects
+	jQuery.each( {
+		"an empty string": "",
+		"a non-empty string": "some string",
+		"zero": 0,
+		"a number other than zero": 1,
+		"true": true,
+		"false": false,
+		"null": null,
+		"undefined": undefined,
+		"a plain object": {}
+	} , function( message , value ) {
+		ok( jQuery.isFunction( jQuery.when( value ).then( function( resolveValue ) {
+			equals( resolveValue , value , "Test the promise was resolved with " + message );
+		} ).promise ) , "Test " + message + " triggers the creation of a new Promise" );
+	} );
+
+	ok( jQuery.isFunction( jQuery.when().then( function( resolveValue ) {
+		equals( resolveValue , undefined , "Test the promise was resolved with no parameter" );
+	} ).promise ) , "Test calling when with no parameter triggers the creation of a new Promise" );
+});
+
+test("jQuery.when() - joining", function() {
+	expect(5);
+
+	var cache, i;
+
+	for( i = 1 ; i < 4 ; i++ ) {
+		jQuery.when( cache || jQuery.Deferred( function() {
+			this.resolve( i );
+		}) ).then( function( value ) {
+			equals( value , 1 , "Function executed" + ( i > 1 ? " only once" : "" ) );
+			cache = value;
+		}, function() {
+			ok( false , "Fail called" );
+		});
+	}
+
+	jQuery.when( jQuery.Deferred().resolve( 1 ), "plain", jQuery.Deferred().resolve( 2, 3 ) ).done(function( a, b, c ) {
+		same( [ a, b, c ], [ 1, "plain", [ 2, 3 ] ], "Results are passed in order, multiple values as an array" );
+	});
+
+	var pending = jQuery.Deferred(),
+		failing = jQuery.Deferred();
+
+	jQuery.when( pending, failing ).then( function() {
+		ok( false, "Joined promise resolved" );
+	}, function( reason ) {
+		equals( reason, "failed", "Joined promise rejected as soon as one fails" );
+	});
+
+	failing.reject( "failed" );
+	pending.resolve();
+});
+
+test("jQuery.parseJSON", function(){
+	expect(5);
+
+	equals( jQuery.parseJSON(), null, "Nothing in, null out." );
+	equals( jQuery.parseJSON( "" ), null, "Empty string in, null out." );
+
+	same( jQuery.parseJSON("{}"), {}, "Plain object parsing." );
+	same( jQuery.parseJSON('{"test":1}'), {"test":1}, "Plain object parsing." );
+
+	same( jQuery.parseJSON('\n{"test":1}'), {"test":1}, "Make sure leading whitespaces are handled." );
+});
+
+test("jQuery.parseXML", function(){
+	expect(4);
+
+	var xml = jQuery.parseXML( "<p>A <b>well-formed</b> xml string</p>" );
+	equals( jQuery( "b", xml ).text(), "well-formed", "<b> present in document" );
+	ok( !jQuery( "p", xml ).find( "b" ).parent().is( "html" ), "Document wasn't parsed as html" );
+
+	try {
+		jQuery.parseXML( "<p>Not a <<b>well-formed</b> xml string</p>" );
+		ok( false, "invalid xml not detected" );
+	} catch( e ) {
+		equals( e, "parsererror", "invalid xml detected" );
+	}
+
+	try {
+		jQuery.parseXML( "" );
+		ok( false, "empty string not detected" );
+	} catch( e ) {
+		equals( e, "parsererror", "empty string detected" );
+	}
+});
@@ -784,7 +784,10 @@ test(".live()/.die()", function() {
 	equals( livee, 0, "Verify that second handler don't." );
 	
 	// Cleanup
-	jQuery("span#liveSpan1 a, span#liveSpan1, span#liveSpan2 a, span#liveSpan2").die("click");
+	jQuery("span#liveSpan1 a").die("click");
+	jQuery("span#liveSpan1").die("click");
+	jQuery("#liveHandlerOrder span#liveSpan2 a").die("click");
+	jQuery("#liveHandlerOrder span#liveSpan2").die("click");
 	
 	// Test this, target and currentTarget are correct
 	jQuery('span#liveSpan1').live('click', function(e){ 
@@ -798,20 +801,309 @@ test(".live()/.die()", function() {
 	jQuery('span#liveSpan1').die('click');
 });
 
-test("live with submit", function() {
+test(".delegate()/.undelegate()", function() {
+	expect(20);
+
+	var clicks = [], container = jQuery("#nothiddendivchild").parent();
+
+	function log( e ) {
+		clicks.push( e.data + ":" + this.id );
+	}
+
+	// Works on any jQuery object, even after a traversal
+	container.delegate( "div", "click", "div", log );
+	container.delegate( "#nothiddendivchild", "click.ns mouseover", "child", log );
+	jQuery("#nothiddendivchild").delegate( "div", "click", "inner", log );
+
+	jQuery("#nothiddendivchild").trigger("click");
+	equals( clicks.join(","), "div:nothiddendivchild,child:nothiddendivchild", "Handlers of the same element in the bound order" );
+
+	clicks = [];
+	container.trigger("click");
+	equals( clicks.length, 0, "The element the handlers are bound to doesn't match" );
+
+	jQuery("#nothiddendivchild").trigger("mouseover");
+	equals( clicks.join(","), "child:nothiddendivchild", "Multiple types" );
+
+	clicks = [];
+	container.undelegate( "#nothiddendivchild", "click.ns" );
+	jQuery("#nothiddendivchild").trigger("click").trigger("mouseover");
+	equals( clicks.join(","), "div:nothiddendivchild,child:nothiddendivchild", "Removal by selector, type and namespace" );
+
+	clicks = [];
+	container.undelegate( "#nothiddendivchild" );
+	jQuery("#nothiddendivchild").trigger("click").trigger("mouseover");
+	equals( clicks.join(","), "div:nothiddendivchild", "Removal of every type of a selector" );
+
+	container.undelegate( "div", "click", log );
+	ok( !jQuery.data( container[0], "events" ), "Removal of a handler" );
+	ok( jQuery.data( jQuery("#nothiddendivchild")[0], "events" ), "Other elements keep their handlers" );
+	jQuery("#nothiddendivchild").undelegate();
+	ok( !jQuery.data( jQuery("#nothiddendivchild")[0], "events" ), "Removal of every handler" );
+
+	// Selectors are matched exactly when removing
 	var count = 0;
-	
+	function inc() {
+		count++;
+	}
+
+	container.delegate( "div > div", "click", inc );
+	container.delegate( "div", "click", inc );
+	container.delegate( "[id]", "click", inc );
+	container.delegate( "div[id|=nothiddendivchild]", "click", inc );
+
+	jQuery("#nothiddendivchild").trigger("click");
+	equals( count, 4, "Complex selectors" );
+
+	container.undelegate( "div", "click" );
+	jQuery("#nothiddendivchild").trigger("click");
+	equals( count, 7, "Only the handler of the given selector is removed" );
+
+	container.undelegate( "div > div", "click" );
+	jQuery("#nothiddendivchild").trigger("click");
+	equals( count, 9, "Selectors with spaces" );
+
+	container.undelegate( "div[id|=nothiddendivchild]", "click" );
+	jQuery("#nothiddendivchild").trigger("click");
+	equals( count, 10, "Selectors with regexp characters" );
+
+	container.delegate( "div > div, #nothiddendivchild", "click", inc );
+	container.undelegate( "div > div, #nothiddendivchild", "click" );
+	jQuery("#nothiddendivchild").trigger("click");
+	equals( count, 11, "A group of selectors only removes its own handlers" );
+
+	container.undelegate( "[id]", "click" );
+	ok( !jQuery.data( container[0], "events" ), "The delegating handler goes with the last delegated one" );
+
+	// Delegated handlers and live ones don't mix
+	jQuery("#nothiddendivchild").live( "click", inc );
+	container.delegate( "#nothiddendivchild", "click", function( e ) {
+		ok( e.currentTarget === jQuery("#nothiddendivchild")[0], "currentTarget is the matching element" );
+		ok( this === e.currentTarget, "Handlers are called on the matching element" );
+	});
+	jQuery("#nothiddendivchild").trigger("click");
+	container.undelegate();
+	jQuery("#nothiddendivchild").trigger("click");
+	equals( count, 13, "live handlers stay" );
+	jQuery("#nothiddendivchild, #foo").die( "click" );
+	jQuery("#nothiddendivchild").trigger("click");
+	equals( count, 14, "die() with a group of selectors only removes its own handlers" );
+	jQuery("#nothiddendivchild").die( "click", inc );
+
+	// Selectors and namespaces don't mix
+	container.delegate( "#nothiddendivchild", "click.div", inc );
+	container.undelegate( "div" );
+	jQuery("#nothiddendivchild").trigger("click");
+	equals( count, 15, "A selector doesn't remove the handlers of the namespace of the same name" );
+	container.undelegate( "#nothiddendivchild", "click.div" );
+
+	// Event data
+	container.delegate( "#nothiddendivchild", "click", { foo: "bar" }, function( e ) {
+		equals( e.data.foo, "bar", "Event data" );
+	});
+	jQuery("#nothiddendivchild").trigger("click");
+	container.undelegate();
+});
+
+test("live with submit", function() {
+	expect(6);
+
+	var count = 0, submitBubbles = jQuery.support.submitBubbles;
+
+	// Clicks that don't submit the form on their own
+	function click( elem ) {
+		var e = jQuery.Event("click");
+		e.preventDefault();
+		jQuery( elem ).trigger( e );
+	}
+
+	// Where submit doesn't bubble, it is made from the clicks and keys leading to it
+	jQuery.support.submitBubbles = false;
+
 	jQuery("#testForm").live("submit", function() {
 		count++;
 		return false;
 	});
-	
-	jQuery("#testForm input[name=sub1]")[0].click();
+
+	click( jQuery("#testForm input[name=sub1]") );
 	jQuery("#testForm input[name=T1]").trigger({type: "keypress", keyCode: 13});
 	
 	equals(2, count);
-	
+
+	var form = jQuery("<form action='#'><input type='email' name='mail'/><button type='submit'><span>Go</span></button>" +
+		"<input type='checkbox' name='check'/></form>").appendTo("#main");
+
+	count = 0;
+	form.find("[name=mail]").trigger({ type: "keypress", keyCode: 13 });
+	form.find("[name=check]").trigger({ type: "keypress", keyCode: 13 });
+	click( form.find("span") );
 	jQuery("#testForm").die("submit");
+	equals( count, 0, "Only the handlers of the form" );
+
+	form.addClass("liveSubmit");
+	jQuery("form.liveSubmit").live("submit", function() {
+		count++;
+		return false;
+	});
+	form.find("[name=mail]").trigger({ type: "keypress", keyCode: 13 });
+	form.find("[name=check]").trigger({ type: "keypress", keyCode: 13 });
+	click( form.find("span") );
+	equals( count, 2, "Enter in other text inputs and clicks inside a submit button" );
+
+	jQuery("form.liveSubmit").die("submit");
+	jQuery.support.submitBubbles = submitBubbles;
+
+	// Native submit events, where they bubble
+	if ( submitBubbles && document.createEvent ) {
+		var nativeFire = function() {
+			var e = document.createEvent("HTMLEvents");
+			e.initEvent( "submit", true, true );
+			form[0].dispatchEvent( e );
+		}, bound = 0;
+
+		count = 0;
+		jQuery("form.liveSubmit").live("submit", function() {
+			count++;
+			return false;
+		});
+		nativeFire();
+		equals( count, 1, "Native submit event" );
+
+		jQuery( document ).bind("submit", function() {
+			bound++;
+			return false;
+		});
+		nativeFire();
+		equals( bound, 1, "Handlers bound after the live ones get native events too" );
+
+		jQuery( document ).unbind("submit");
+		jQuery("form.liveSubmit").die("submit");
+		ok( !jQuery.data( document, "events" ) || !jQuery.data( document, "events" ).submit, "Unbound" );
+	} else {
+		ok( true, "Native submit events don't bubble here" );
+		ok( true, "Native submit events don't bubble here" );
+		ok( true, "Native submit events don't bubble here" );
+	}
+
+	form.remove();
+});
+
+test("live/delegate with change, reset and select", function() {
+	expect(16);
+
+	var changeBubbles = jQuery.support.changeBubbles,
+		selectBubbles = jQuery.support.selectBubbles,
+		log = [],
+		html = "<form action='#'><input type='text' name='text'/><input type='checkbox' name='check'/>" +
+			"<select name='select'><option>a</option><option>b</option></select>" +
+			"<input type='reset'/></form>";
+
+	function record( e ) {
+		log.push( e.type + ":" + (this.name || this.nodeName.toLowerCase()) );
+		return false;
+	}
+
+	// A click that doesn't toggle the checkboxes on its own
+	function click( elem ) {
+		var e = jQuery.Event("click");
+		e.preventDefault();
+		jQuery( elem ).trigger( e );
+	}
+
+	// Values set by a script
+	var container = jQuery("<div/>").html( html ).appendTo("#main"),
+		text = container.find("[name=text]");
+
+	container.delegate( "input, select", "change", record );
+
+	text.trigger("focus").val("changed").trigger("blur");
+	equals( log.join(","), "change:text", "change once a value set by a script loses the focus" );
+
+	log = [];
+	text.trigger("focus").trigger("blur");
+	equals( log.length, 0, "No change without a new value" );
+
+	text.trigger("change");
+	equals( log.join(","), "change:text", "Triggered change" );
+
+	container.undelegate( "input, select", "change" );
+	ok( !jQuery.data( container[0], "events" ), "The helpers are removed with the last handler" );
+	container.remove();
+
+	// Delegated after a change handler of the element itself
+	container = jQuery("<div/>").html( html ).appendTo("#main");
+	text = container.find("[name=text]");
+	log = [];
+
+	container.bind( "change", function() {} );
+	container.delegate( "input", "change", record );
+
+	text.trigger("focus").val("changed").trigger("blur");
+	equals( log.join(","), "change:text", "The helpers come with the first delegated handler" );
+	container.remove();
+
+	// Browsers where change and select don't bubble
+	jQuery.support.changeBubbles = jQuery.support.selectBubbles = false;
+
+	container = jQuery("<div/>").html( html ).appendTo("#main");
+	text = container.find("[name=text]");
+	log = [];
+
+	container.delegate( "input, select", "change", record );
+
+	var check = container.find("[name=check]");
+	check.trigger("focus");
+	check[0].checked = true;
+	click( check );
+	equals( log.join(","), "change:check", "Checkbox change on click" );
+
+	log = [];
+	click( check );
+	equals( log.length, 0, "No change when the checkbox isn't toggled" );
+
+	var select = container.find("select");
+	select.trigger("focus");
+	select[0].selectedIndex = 1;
+	click( select );
+	equals( log.join(","), "change:select", "Select change on click" );
+
+	log = [];
+	text.trigger("focus").val("typed").trigger({ type: "keydown", keyCode: 65 });
+	equals( log.length, 0, "No change while typing" );
+	text.trigger({ type: "keydown", keyCode: 13 });
+	equals( log.join(","), "change:text", "Text change on enter" );
+
+	log = [];
+	text.trigger("blur");
+	equals( log.length, 0, "No change again once the field loses the focus" );
+
+	container.delegate( "input", "select", record );
+	text.trigger("focus").trigger("select");
+	equals( log.join(","), "select:text", "select is forwarded from the focused field" );
+
+	container.undelegate();
+	ok( !jQuery.data( container[0], "events" ), "The helpers are removed with the last handler" );
+	ok( !jQuery.data( text[0], "events" ), "The fields don't forward select anymore" );
+
+	jQuery.support.changeBubbles = changeBubbles;
+	jQuery.support.selectBubbles = selectBubbles;
+
+	// Reset from the click on a reset button, where reset doesn't bubble
+	var resetBubbles = jQuery.support.resetBubbles;
+	jQuery.support.resetBubbles = false;
+
+	log = [];
+	container.delegate( "form", "reset", record );
+	click( container.find("[type=reset]") );
+	click( container.find("[name=text]") );
+	equals( log.join(","), "reset:form", "reset from a click on a reset button" );
+
+	container.undelegate( "form", "reset" );
+	ok( !jQuery.data( container[0], "events" ), "The helpers are removed with the last handler" );
+
+	jQuery.support.resetBubbles = resetBubbles;
+
+	container.remove();
 });
 
 test("live with focus/blur", function(){
@@ -851,6 +1143,324 @@ test("live with focus/blur", function(){
 	window.scrollTo(0,0);
 });
 
+test("jQuery.event.fix() hooks", function() {
+	expect(22);
+
+	var fix = function( props ) {
+		return jQuery.event.fix( jQuery.extend( { target: document.body }, props ) );
+	}, e;
+
+	e = fix({ type: "keydown", keyCode: 37, clientX: 10 });
+	equals( e.key, "ArrowLeft", "Key from the keyCode" );
+	equals( e.which, 37, "which from the keyCode" );
+	ok( !( "clientX" in e ), "Only the properties of key events are copied" );
+
+	equals( fix({ type: "keydown", keyCode: 65 }).key, "a", "Letters" );
+	equals( fix({ type: "keydown", keyCode: 65, shiftKey: true }).key, "A", "Capital letters" );
+	equals( fix({ type: "keyup", keyCode: 116 }).key, "F5", "Function keys" );
+	equals( fix({ type: "keydown", keyCode: 13, key: "Enter" }).key, "Enter", "Native key" );
+	equals( fix({ type: "keydown", keyCode: 27, key: "Esc" }).key, "Escape", "Old key names" );
+
+	e = fix({ type: "keypress", keyCode: 0, charCode: 233 });
+	equals( e.key, "é", "Character typed" );
+	equals( e.which, 233, "which from the charCode" );
+
+	e = fix({ type: "mousedown", button: 4, clientX: 10, keyCode: 13 });
+	equals( e.which, 2, "which from a mask of buttons" );
+	equals( e.button, 1, "Middle button" );
+	ok( e.pageX >= 10, "pageX from clientX" );
+	ok( !( "keyCode" in e ), "Only the properties of mouse events are copied" );
+
+	e = fix({ type: "mouseup", which: 3, button: 2 });
+	equals( e.button, 2, "Right button" );
+
+	e = fix({ type: "drop", clientX: 10, button: 0, which: 1, dataTransfer: {} });
+	ok( e.pageX >= 10 && e.button === 0 && e.dataTransfer, "Drag and drop events are mouse events" );
+
+	e = fix({ type: "mousewheel", wheelDelta: -240 });
+	ok( e.deltaX === 0 && e.deltaY === 2, "mousewheel: " + e.deltaX + "," + e.deltaY );
+
+	e = fix({ type: "DOMMouseScroll", detail: -3, axis: 1 });
+	ok( e.deltaX === -3 && e.deltaY === 0, "DOMMouseScroll: " + e.deltaX + "," + e.deltaY );
+
+	e = fix({ type: "wheel", deltaMode: 0, deltaX: 40, deltaY: -80 });
+	ok( e.deltaX === 1 && e.deltaY === -2, "wheel: " + e.deltaX + "," + e.deltaY );
+
+	jQuery.event.fixHooks.custom = {
+		props: [ "custom" ],
+		filter: function( event, original ) {
+			event.custom += "!";
+			return event;
+		}
+	};
+
+	equals( fix({ type: "custom", custom: "hook" }).custom, "hook!", "Custom hooks" );
+	delete jQuery.event.fixHooks.custom;
+
+	e = fix({ type: "touchstart", changedTouches: [ { pageX: 5, pageY: 6 } ] });
+	ok( e.pageX === 5 && e.pageY === 6, "Position of the touch" );
+
+	e = fix({ type: "pointerdown", pointerType: "pen", pressure: 0.5, clientX: 10, button: 0, which: 1 });
+	ok( e.pointerType === "pen" && e.pressure === 0.5 && e.pageX >= 10, "Pointer properties and position" );
+});
+
+test("mousewheel", function() {
+	expect(3);
+
+	var div = jQuery("<div/>").appendTo("#main"), nativeEvent, deltas = [];
+
+	div.bind("mousewheel", function( e ) {
+		deltas.push( e.type + ":" + e.deltaY );
+	}).trigger("mousewheel");
+
+	equals( deltas.length, 1, "Triggered mousewheel" );
+
+	// Native events, where they can be created
+	try {
+		if ( "onwheel" in div[0] ) {
+			nativeEvent = new WheelEvent( "wheel", { deltaY: 120, bubbles: true } );
+
+		} else if ( document.onmousewheel === undefined ) {
+			nativeEvent = document.createEvent("MouseEvents");
+			nativeEvent.initEvent( "DOMMouseScroll", true, true );
+			nativeEvent.detail = 3;
+		}
+	} catch(e) {
+		nativeEvent = undefined;
+	}
+
+	if ( nativeEvent ) {
+		deltas = [];
+		div[0].dispatchEvent( nativeEvent );
+		equals( deltas.join(","), "mousewheel:3", "Native event" );
+	} else {
+		ok( true, "Native wheel events can't be made here" );
+	}
+
+	div.unbind("mousewheel");
+	ok( !jQuery.data( div[0], "events" ), "Unbound" );
+	div.remove();
+});
+
+test("gestures", function() {
+	if ( !document.createEvent ) {
+		expect(1);
+		ok( true, "Events can't be made here" );
+		return;
+	}
+
+	expect(16);
+
+	var div = jQuery("<div class='gesture'><span/></div>").appendTo("#main"),
+		span = div.find("span")[0], log = [], settings = jQuery.extend( {}, jQuery.event.gestures );
+
+	// Touch or pointer events, whichever the browser tracks
+	var fire = function( elem, phase, x, y ) {
+		var e = document.createEvent("HTMLEvents");
+
+		if ( window.PointerEvent ) {
+			e.initEvent( "pointer" + { start: "down", move: "move", end: "up" }[ phase ], true, true );
+			e.pageX = x;
+			e.pageY = y;
+			e.isPrimary = true;
+		} else {
+			e.initEvent( "touch" + phase, true, true );
+			e.changedTouches = [ { pageX: x, pageY: y } ];
+			e.touches = phase === "end" ? [] : e.changedTouches;
+		}
+
+		elem.dispatchEvent( e );
+	}, gesture = function( elem, x, y, toX, toY ) {
+		fire( elem, "start", x, y );
+		fire( elem, "move", toX, toY );
+		fire( elem, "end", toX, toY );
+	}, record = function( e ) {
+		log.push( e.type );
+	};
+
+	div.bind("tap.test doubletap.test", function( e ) {
+		log.push( e.type );
+		equals( e.target, span, e.type + " on the element where it started" );
+	});
+
+	gesture( span, 10, 10, 12, 13 );
+	equals( log.join(","), "tap", "Tap" );
+
+	log = [];
+	gesture( span, 11, 11, 11, 11 );
+	equals( log.join(","), "tap,doubletap", "Second tap makes a doubletap" );
+
+	log = [];
+	gesture( span, 10, 10, 40, 10 );
+	gesture( span, 10, 10, 10, 10 );
+	equals( log.join(","), "tap", "Moved too far to tap" );
+
+	div.unbind("tap.test doubletap.test").bind("swipeleft.test swiperight.test swipeup.test swipedown.test", record);
+
+	log = [];
+	gesture( span, 100, 100, 60, 90 );
+	gesture( span, 100, 100, 140, 110 );
+	gesture( span, 100, 100, 90, 60 );
+	gesture( span, 100, 100, 110, 140 );
+	gesture( span, 100, 100, 110, 110 );
+	equals( log.join(","), "swipeleft,swiperight,swipeup,swipedown", "Swipes" );
+
+	log = [];
+	jQuery.event.gestures.swipeDistance = 100;
+	gesture( span, 100, 100, 60, 100 );
+	jQuery.event.gestures.swipeDistance = settings.swipeDistance;
+	gesture( span, 100, 100, 60, 100 );
+	equals( log.join(","), "swipeleft", "Configurable thresholds" );
+
+	div.unbind("swipeleft.test swiperight.test");
+	ok( jQuery.data( div[0], "gestures" ), "Still tracked while gestures are bound" );
+
+	div.unbind(".test");
+	ok( !jQuery.data( div[0], "gestures" ) && !jQuery.data( div[0], "events" ), "Unbound with the namespace" );
+
+	log = [];
+	jQuery("#main .gesture span").live("tap", function( e ) {
+		log.push( e.type );
+		equals( this, span, "Live handler called on the matching element" );
+	});
+	gesture( span, 10, 10, 10, 10 );
+	gesture( div[0], 10, 10, 10, 10 );
+	equals( log.join(","), "tap", "Live tap" );
+
+	jQuery("#main .gesture span").die("tap");
+	ok( !jQuery.data( document, "gestures" ), "Document no longer tracked" );
+
+	log = [];
+	jQuery.event.gestures.longpressDuration = 20;
+	div.bind("longpress tap", record);
+	fire( span, "start", 10, 10 );
+
+	stop();
+	setTimeout(function() {
+		fire( span, "end", 10, 10 );
+		equals( log.join(","), "longpress", "Longpress, not followed by a tap" );
+
+		log = [];
+		gesture( span, 10, 10, 10, 10 );
+		equals( log.join(","), "tap", "Short touches still tap" );
+
+		jQuery.event.gestures.longpressDuration = settings.longpressDuration;
+		div.unbind("longpress tap").remove();
+		start();
+	}, 100);
+});
+
+test("throttled and debounced handlers", function() {
+	expect(10);
+
+	var div = jQuery("<div class='rated'/>").appendTo("#main"), log = [],
+		record = function( e ) {
+			log.push( e.type + ":" + e.data.n );
+		},
+		numbered = function( e, n ) {
+			log.push( e.type + n );
+		},
+		types = [ "leading", "trailing", "debounced", "debouncedLeading", "throttled" ];
+
+	div.bind("custom", { throttle: 40, trailing: false, n: 1 }, record);
+	div.trigger("custom").trigger("custom").trigger("custom");
+	equals( log.join(","), "custom:1", "Throttled handler called right away, once" );
+
+	div.unbind("custom", record);
+	ok( !jQuery.data( div[0], "events" ), "Unbound with the original handler" );
+
+	log = [];
+	div.bind("leading", { throttle: 40, trailing: false }, numbered)
+		.bind("trailing", { throttle: 40, leading: false }, numbered)
+		.bind("debounced", { debounce: 40 }, numbered)
+		.bind("debouncedLeading", { debounce: 40, leading: true, trailing: false }, numbered)
+		.bind("throttled", jQuery.throttle( 40, numbered ));
+
+	jQuery.each( [ 1, 2, 3 ], function( i, n ) {
+		jQuery.each( types, function( i, type ) {
+			div.trigger( type, [ n ] );
+		});
+	});
+
+	equals( log.join(","), "leading1,debouncedLeading1,throttled1", "Leading edge" );
+
+	// Other delegated handlers of the type aren't rated
+	var moves = 0, moved = function() {
+		moves++;
+	};
+	jQuery("#main .rated").live("custom", moved);
+	jQuery("#main .rated").live("custom", { debounce: 20, n: 2 }, record);
+	div.trigger("custom").trigger("custom");
+	equals( moves, 2, "Only the handler given the delay is rated" );
+	jQuery("#main .rated").die("custom", moved);
+
+	stop();
+	setTimeout(function() {
+		equals( log.slice( 3 ).sort().join(","), "custom:2,debounced3,throttled3,trailing3", "Trailing edge" );
+
+		jQuery.each( types, function( i, type ) {
+			div.unbind( type, numbered );
+		});
+		ok( !jQuery.data( div[0], "events" ), "Unbound with the original handlers" );
+
+		jQuery("#main .rated").die("custom", record);
+		log = [];
+		div.trigger("custom");
+		ok( jQuery.throttle( 10, numbered ).guid === numbered.guid, "Shares the guid of the handler" );
+
+		// Calls closer than the delay push the debounced one back
+		div.bind("custom", { debounce: 80 }, numbered).trigger("custom", [ 1 ]);
+		setTimeout(function() {
+			div.trigger("custom", [ 2 ]);
+			setTimeout(function() {
+				equals( log.join(","), "", "Not called while the calls go on" );
+				setTimeout(function() {
+					equals( log.join(","), "custom2", "Called once they stopped" );
+					div.unbind("custom", numbered).remove();
+					ok( !jQuery.data( div[0], "events" ), "Unbound" );
+					start();
+				}, 100);
+			}, 60);
+		}, 40);
+	}, 100);
+});
+
+test("trailing calls get the event as it was for their handler", function() {
+	expect(6);
+	stop();
+
+	var parent = jQuery("<div/>").appendTo("#main"),
+		child = jQuery("<span/>").appendTo( parent ),
+		calls = 0;
+
+	function called() {
+		if ( ++calls === 3 ) {
+			parent.remove();
+			start();
+		}
+	}
+
+	function check( e ) {
+		equals( e.data.n, 1, "Data of the " + e.type + " handler" );
+		ok( this === child[0] && e.currentTarget === child[0], "this and currentTarget of the " + e.type + " handler" );
+		called();
+	}
+
+	child.bind("debounced", { debounce: 20, n: 1 }, check)
+		.bind("throttled", { throttle: 20, leading: false, n: 1 }, check)
+		.bind("debounced throttled", { n: 2 }, function() {});
+	parent.bind("debounced throttled", { n: 3 }, function() {});
+
+	child.trigger("debounced").trigger("throttled");
+
+	// The arguments of jQuery.throttle aren't always events
+	jQuery.throttle( 20, function( n ) {
+		equals( n, 1, "Other arguments are left alone" );
+		ok( this === child[0], "this" );
+		called();
+	}, { leading: false } ).call( child[0], 1 );
+});
+
 test("Non DOM element events", function() {
 	expect(3);
 